@@ -0,0 +1,162 @@
+/**
+ * Profoundry Actor Profile
+ * Shows a character's questions and answers on their actor sheet
+ */
+
+const ACTOR_PROFILE_TAB = 'profoundry';
+
+/**
+ * Collect the questions a character has been asked, grouped by category
+ * Follow-ups are listed right after the question their thread started with, in that question's category.
+ * @param {Actor} actor
+ * @returns {Promise<object>}  Template data for actor-profile.html
+ */
+async function getActorProfileData(actor) {
+    // Answers saved before threads were stored on them find theirs on the chat message they answer
+    const entries = new Map(CharacterAnswers.getAnswers(actor).map(answer => [answer.id, {
+        ...answer,
+        thread: answer.thread ?? game.messages.get(answer.id)?.getFlag(MODULE_ID, 'thread') ?? null
+    }]));
+
+    // Questions sent to this character that have no answer yet
+    for (const message of getQuestionMessages()) {
+        if (message.getFlag(MODULE_ID, 'targetActorId') !== actor.id || entries.has(message.id)) continue;
+        const question = message.getFlag(MODULE_ID, 'question');
+        entries.set(message.id, {
+            id: message.id,
+            questionId: question.id,
+            question: question.text,
+            questionData: question.questionData,
+            category: question.category,
+            language: question.language || 'en',
+            thread: message.getFlag(MODULE_ID, 'thread') || null,
+            answer: '',
+            timestamp: message.timestamp
+        });
+    }
+
+    // A thread starts with its first question, or with its oldest one here when that was asked to someone else
+    const threads = new Map();
+    const sorted = Array.from(entries.values()).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    for (const entry of sorted) {
+        const threadId = entry.thread?.id || entry.id;
+        if (!threads.has(threadId)) threads.set(threadId, []);
+        const thread = threads.get(threadId);
+        // Answers are dated when they were written, so the first question may come later than its follow-ups
+        if (entry.id === threadId) thread.unshift(entry);
+        else thread.push(entry);
+    }
+
+    const categories = await QuestionBank.getCategories();
+    const categoryKeys = categories.map(category => category.key);
+
+    // Keep answers from categories that no longer exist
+    for (const [first] of threads.values()) {
+        if (!categoryKeys.includes(first.category)) {
+            categoryKeys.push(first.category);
+            categories.push({ key: first.category, ...QuestionBank.getCategoryDisplay(first.category) });
+        }
+    }
+
+    const grouped = categories.map(category => ({
+        ...category,
+        entries: Array.from(threads.values())
+            .filter(([first]) => first.category === category.key)
+            .flat()
+    }));
+
+    return {
+        actorId: actor.id,
+        canEdit: actor.isOwner,
+        canExportJournal: game.user.isGM,
+        entries: entries,
+        categories: grouped.filter(category => category.entries.length > 0),
+        unexplored: grouped.filter(category => category.entries.length === 0)
+    };
+}
+
+/**
+ * Render the profile for an actor and wire up answer editing
+ * @param {Actor} actor
+ * @returns {Promise<jQuery>}
+ */
+async function renderActorProfile(actor) {
+    const data = await getActorProfileData(actor);
+    const html = $(await renderTemplate(`modules/${MODULE_ID}/templates/actor-profile.html`, data));
+
+    const exportProfile = (exporter) => () => exporter([actor]).catch(error => {
+        console.error('Character Questions | Export failed:', error);
+        ui.notifications.error(game.i18n.localize('PROFOUNDRY.Notify.ExportError'));
+    });
+    html.find('.profoundry-profile-journal').on('click', exportProfile(actors => ProfoundryJournal.exportJournal(actors)));
+    html.find('.profoundry-profile-markdown').on('click', exportProfile(actors => ProfoundryJournal.exportMarkdown(actors)));
+
+    if (data.canEdit) {
+        html.find('.profoundry-profile-answer').on('change', async (event) => {
+            const entry = data.entries.get(event.currentTarget.dataset.entryId);
+            if (!entry) return;
+            const answer = event.currentTarget.value.trim();
+
+            if (answer) {
+                await CharacterAnswers.saveAnswer(actor, { ...entry, answer: answer, userId: game.user.id });
+            } else if (CharacterAnswers.getAnswer(actor, entry.id)) {
+                await CharacterAnswers.deleteAnswer(actor, entry.id);
+            }
+        });
+    }
+
+    return html;
+}
+
+/**
+ * Add the profile to a rendered actor sheet
+ * Sheets with tabs get a Profoundry tab, any other sheet gets a section at the bottom.
+ * @param {Application} app
+ * @param {jQuery|HTMLElement} html
+ */
+async function injectActorProfile(app, html) {
+    const actor = app.actor || app.document;
+    if (!(actor instanceof Actor)) return;
+
+    const element = html instanceof jQuery ? html : $(html);
+    const profile = await renderActorProfile(actor);
+
+    // Drop anything left from an earlier render
+    element.find(`[data-tab="${ACTOR_PROFILE_TAB}"], .profoundry-profile-section`).remove();
+
+    const nav = element.find('nav.sheet-tabs').first();
+    const tabs = (app._tabs || []).find(t => t._nav === nav[0]);
+
+    if (nav.length && tabs) {
+        const group = nav.find('[data-tab]').first().data('group');
+        const groupSelector = group ? `[data-group="${group}"]` : '';
+        const container = element.find(`.tab[data-tab]${groupSelector}`).first().parent();
+
+        if (container.length) {
+            const groupAttr = group ? `data-group="${group}"` : '';
+            nav.append(`<a class="item" data-tab="${ACTOR_PROFILE_TAB}" ${groupAttr}><i class="fas fa-question-circle"></i> ${game.i18n.localize('PROFOUNDRY.Profile.Tab')}</a>`);
+            const tab = $(`<div class="tab profoundry-profile-tab" data-tab="${ACTOR_PROFILE_TAB}" ${groupAttr}></div>`);
+            tab.append(profile);
+            container.append(tab);
+
+            // The sheet activated its tabs before our tab existed
+            if (tabs.active === ACTOR_PROFILE_TAB) tabs.activate(ACTOR_PROFILE_TAB);
+            return;
+        }
+    }
+
+    // Generic fallback for sheets without recognisable tabs
+    const section = $('<section class="profoundry-profile-section"></section>').append(profile);
+    const content = element.find('.window-content').first();
+    (content.length ? content : element).append(section);
+}
+
+/**
+ * Register the actor sheet hooks
+ */
+function registerActorProfileHooks() {
+    Hooks.on('renderActorSheet', injectActorProfile);
+    Hooks.on('renderActorSheetV2', injectActorProfile);
+
+    console.log('Character Questions | Actor profile hooks registered');
+}
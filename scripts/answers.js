@@ -0,0 +1,144 @@
+/**
+ * Profoundry Answers
+ * Stores the answers players give to questions on their Actor
+ */
+
+/**
+ * Character Answers
+ * Answers live in the actor's module flags, keyed by the chat message they answer
+ */
+class CharacterAnswers {
+    /**
+     * Get every answer stored on an actor, oldest first
+     * @param {Actor} actor
+     * @returns {object[]}
+     */
+    static getAnswers(actor) {
+        const answers = actor?.getFlag(MODULE_ID, 'answers') || {};
+        return Object.values(answers).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+
+    /**
+     * Get the answer given to a single chat message
+     * @param {Actor} actor
+     * @param {string} answerId
+     * @returns {object|null}
+     */
+    static getAnswer(actor, answerId) {
+        return actor?.getFlag(MODULE_ID, 'answers')?.[answerId] || null;
+    }
+
+    /**
+     * Save an answer on an actor, replacing any earlier answer with the same id
+     * @param {Actor} actor
+     * @param {object} entry  Id, question, category, language and answer text
+     */
+    static async saveAnswer(actor, entry) {
+        const answer = { ...entry, timestamp: Date.now() };
+        await actor.update({ [`flags.${MODULE_ID}.answers.${answer.id}`]: answer });
+        return answer;
+    }
+
+    /**
+     * Remove an answer from an actor
+     * @param {Actor} actor
+     * @param {string} answerId
+     */
+    static async deleteAnswer(actor, answerId) {
+        await actor.update({ [`flags.${MODULE_ID}.answers.-=${answerId}`]: null });
+    }
+
+    /**
+     * Get the actor that should answer a question message
+     * Directed questions belong to their target's character, otherwise the current user's.
+     * @param {ChatMessage} message
+     * @returns {Actor|null}
+     */
+    static getAnswerActor(message) {
+        const actorId = message.getFlag(MODULE_ID, 'targetActorId');
+        if (actorId) return game.actors.get(actorId) || null;
+        return game.user.character || null;
+    }
+
+    /**
+     * Whether the current user may answer a question message
+     * @param {ChatMessage} message
+     * @returns {boolean}
+     */
+    static canAnswer(message) {
+        if (!message.getFlag(MODULE_ID, 'question')) return false;
+        const targetUserId = message.getFlag(MODULE_ID, 'targetUserId');
+        if (targetUserId && targetUserId !== game.user.id && !game.user.isGM) return false;
+        const actor = this.getAnswerActor(message);
+        return !!actor && actor.isOwner;
+    }
+
+    /**
+     * Open a dialog to answer a question message and save the result on the actor
+     * @param {ChatMessage} message
+     */
+    static openAnswerDialog(message) {
+        const question = message.getFlag(MODULE_ID, 'question');
+        this.openQuestionAnswerDialog(this.getAnswerActor(message), {
+            id: message.id,
+            questionId: question.id,
+            question: question.text,
+            questionData: question.questionData,
+            category: question.category,
+            language: question.language || 'en',
+            thread: message.getFlag(MODULE_ID, 'thread') || null
+        });
+    }
+
+    /**
+     * Open a dialog to answer a question and save the result on the actor
+     * Also used by players answering their own questions in private, without a chat message.
+     * @param {Actor|null} actor
+     * @param {object} entry  Id the answer is stored under, question, category and language
+     * @param {Function} [onSave]  Called with the saved answer
+     */
+    static openQuestionAnswerDialog(actor, entry, onSave) {
+        if (!actor || !actor.isOwner) {
+            ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.NeedCharacter'));
+            return;
+        }
+
+        const existing = this.getAnswer(actor, entry.id);
+        const escape = Handlebars.escapeExpression;
+
+        new Dialog({
+            title: game.i18n.format('PROFOUNDRY.Answer.Title', { name: actor.name }),
+            content: `
+                <form class="profoundry-answer-form">
+                    <p class="profoundry-answer-question"><b>${entry.question}</b></p>
+                    <textarea name="answer" rows="6" placeholder="${game.i18n.localize('PROFOUNDRY.Answer.Placeholder')}">${escape(existing?.answer || '')}</textarea>
+                </form>
+            `,
+            buttons: {
+                save: {
+                    icon: '<i class="fas fa-save"></i>',
+                    label: game.i18n.localize('PROFOUNDRY.Answer.Save'),
+                    callback: async (html) => {
+                        const answer = html.find('textarea[name="answer"]').val().trim();
+                        if (!answer) {
+                            ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.AnswerEmpty'));
+                            return;
+                        }
+                        const saved = await this.saveAnswer(actor, {
+                            ...entry,
+                            answer: answer,
+                            userId: game.user.id
+                        });
+                        ui.notifications.info(game.i18n.format('PROFOUNDRY.Notify.AnswerSaved', { name: actor.name }));
+                        if (onSave) await onSave(saved);
+                    }
+                },
+                cancel: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: game.i18n.localize('PROFOUNDRY.Cancel')
+                }
+            },
+            default: 'save'
+        }).render(true);
+    }
+}
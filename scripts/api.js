@@ -0,0 +1,165 @@
+/**
+ * Profoundry API
+ * Public functions for macros and other modules, available as game.modules.get('fvtt-profoundry').api
+ *
+ * Hooks fired by the module:
+ * - profoundry.questionDrawn (entry, { source })  A question was drawn in the window, by the API or by a chat command, or added as a follow-up
+ * - profoundry.questionSent (message, entry)  A question was posted to chat
+ */
+
+/**
+ * Draw a random question
+ * Questions the GM rated higher are drawn more often.
+ * @param {object} [options]
+ * @param {string} [options.category]  Category to draw from, every category when omitted
+ * @param {string[]} [options.categories]  Several categories to draw from, ignored when category is given
+ * @param {string} [options.language]  Language of the question text, the window's language when omitted
+ * @param {boolean} [options.excludeBlocked=true]  Skip blocked questions
+ * @param {Actor|User} [options.actor]  Skip questions this character has already been asked
+ * @param {object[]} [options.exclude]  Question data to skip, such as questions already drawn
+ * @param {User[]} [options.users]  Players who will see the question, whose excluded content tags are skipped. Every player when omitted.
+ * @param {boolean} [options.favoritesOnly=false]  Only draw the world's favorite questions
+ * @param {string} [options.source='api']  Passed to the profoundry.questionDrawn hook
+ * @returns {Promise<object|null>}  The drawn question in the same shape as the window's list, or null if none is left
+ */
+async function drawRandomQuestion({ category, categories, language, excludeBlocked = true, actor = null, exclude = [], users = null, favoritesOnly = false, source = 'api' } = {}) {
+    if (category) categories = [category];
+    if (!categories?.length) categories = (await QuestionBank.getCategories()).map(c => c.key);
+
+    const filters = {
+        blockedQuestions: excludeBlocked ? QuestionBank.getBlockedQuestions() : [],
+        excludedQuestions: exclude,
+        askedQuestions: QuestionHistory.getAsked(actor),
+        favoriteQuestions: favoritesOnly ? QuestionBank.getFavorites() : null,
+        ...ProfoundrySafety.getFilters(users)
+    };
+
+    const candidates = [];
+    for (const key of categories) {
+        const questions = QuestionBank.filterQuestions(await QuestionBank.getQuestions(key), filters);
+        questions.forEach(questionData => candidates.push({ category: key, questionData }));
+    }
+    if (candidates.length === 0) return null;
+
+    const pick = QuestionBank.pickQuestion(candidates, candidate => candidate.questionData);
+    const entry = QuestionBank.createEntry(pick.category, pick.questionData, language || QuestionBank.getDefaultLanguage());
+    Hooks.callAll('profoundry.questionDrawn', entry, { source });
+    return entry;
+}
+
+/**
+ * List the categories with the number of questions left in each
+ * @param {object} [options]
+ * @param {Actor|User} [options.actor]  Also leave out questions this character has already been asked
+ * @returns {Promise<{key: string, label: string, icon: string, order: number, total: number, count: number}[]>}
+ */
+async function listCategories({ actor = null } = {}) {
+    const filters = {
+        blockedQuestions: QuestionBank.getBlockedQuestions(),
+        askedQuestions: QuestionHistory.getAsked(actor),
+        ...ProfoundrySafety.getFilters()
+    };
+
+    const categories = await QuestionBank.getCategories();
+    for (const category of categories) {
+        const questions = await QuestionBank.getQuestions(category.key);
+        category.total = questions.length;
+        category.count = QuestionBank.filterQuestions(questions, filters).length;
+    }
+    return categories;
+}
+
+/**
+ * Turn the different ways of passing a question into question data
+ * @param {object|string} question  A drawn question, question data from the bank, or its English text
+ * @returns {object}
+ */
+function resolveQuestionData(question) {
+    if (typeof question === 'string') return { en: question };
+    return question?.questionData || question || {};
+}
+
+/**
+ * Like resolveQuestionData, but looks a string up in the bank so it can also be a question id
+ * @param {object|string} question  A drawn question, question data from the bank, or its id or English text
+ * @returns {Promise<object>}
+ */
+async function findQuestionData(question) {
+    if (typeof question !== 'string') return resolveQuestionData(question);
+    const found = await QuestionBank.findQuestion(question).catch(() => null);
+    return found?.questionData || resolveQuestionData(question);
+}
+
+/**
+ * Post a question to chat, the same way the window does
+ * @param {object|string} question  A drawn question, or question data with a category
+ * @param {object} [options]  See postQuestionToChat, visibility and recipients default to the window's choice
+ * @param {string} [options.category]  Category of the question when it is not part of the question
+ * @returns {Promise<ChatMessage>}
+ */
+async function sendQuestion(question, options = {}) {
+    const savedData = game.settings.get(MODULE_ID, 'formData') || {};
+    const questionData = resolveQuestionData(question);
+    const category = question?.category || options.category || 'unsorted';
+    const language = question?.language || options.language || QuestionBank.getDefaultLanguage();
+
+    const entry = question?.questionData
+        ? question
+        : QuestionBank.createEntry(category, questionData, language);
+
+    return postQuestionToChat(entry, {
+        visibility: getChatVisibility(),
+        recipients: savedData.chatRecipients || [],
+        ...options
+    });
+}
+
+/**
+ * Open the Profoundry window, or bring it to the front if it is already open
+ * @returns {CharacterQuestions}
+ */
+function openQuestionsWindow() {
+    const app = getCharacterQuestionsApp();
+    if (app) {
+        app.bringToTop();
+        return app;
+    }
+    openCharacterQuestionsDialog();
+    return characterQuestionsApp;
+}
+
+/**
+ * Close the Profoundry window if it is open
+ */
+async function closeQuestionsWindow() {
+    await getCharacterQuestionsApp()?.close();
+}
+
+/**
+ * Build the object exposed as game.modules.get('fvtt-profoundry').api
+ * @returns {object}
+ */
+function createModuleApi() {
+    return {
+        drawQuestion: drawRandomQuestion,
+        getCategories: listCategories,
+        getBlockedQuestions: () => QuestionBank.getBlockedQuestions(),
+        blockQuestion: async (question) => QuestionBank.blockQuestion(await findQuestionData(question)),
+        unblockQuestion: async (question) => QuestionBank.unblockQuestion(QuestionBank.getQuestionKey(await findQuestionData(question))),
+        getRating: async (question) => QuestionBank.getRating(await findQuestionData(question)),
+        rateQuestion: async (question, rating) => QuestionBank.setRating(await findQuestionData(question), rating),
+        getFavorites: () => QuestionBank.getFavorites(),
+        toggleFavorite: async (question) => QuestionBank.toggleFavorite(await findQuestionData(question)),
+        sendQuestion: sendQuestion,
+        openWindow: openQuestionsWindow,
+        closeWindow: closeQuestionsWindow,
+        toggleWindow: openCharacterQuestionsDialog,
+        openBoard: () => QuestionBoard.open(),
+        get window() {
+            return getCharacterQuestionsApp();
+        },
+        QuestionBank: QuestionBank,
+        QuestionHistory: QuestionHistory,
+        CharacterAnswers: CharacterAnswers
+    };
+}
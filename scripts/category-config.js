@@ -0,0 +1,123 @@
+/**
+ * Profoundry Category Config
+ * GM editor for the label, icon and order of each category
+ */
+
+/**
+ * Category Config
+ * Edits the categoryConfig world setting
+ */
+class CategoryConfig extends FormApplication {
+    constructor(options = {}) {
+        super({}, options);
+        this.drafts = null;
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "character-questions-categories",
+            template: `modules/${MODULE_ID}/templates/category-config.html`,
+            width: 480,
+            height: 560,
+            resizable: true,
+            closeOnSubmit: false,
+            submitOnChange: false,
+            title: "PROFOUNDRY.CategoryConfig.Title",
+        });
+    }
+
+    async getData() {
+        if (!this.drafts) {
+            const customQuestions = QuestionBank.getCustomQuestions();
+            this.drafts = (await QuestionBank.getCategories({ includeDisabled: true })).map(category => ({
+                ...category,
+                removable: !category.inBank && !(customQuestions[category.key] || []).length
+            }));
+        }
+
+        return {
+            categories: this.drafts
+        };
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.add-category').on('click', (event) => {
+            event.preventDefault();
+            this.readForm();
+            const label = html.find('#new-category-label').val().trim();
+            const key = label.slugify({ strict: true });
+            if (!key) {
+                ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.CategoryNameMissing'));
+                return;
+            }
+            if (this.drafts.some(category => category.key === key)) {
+                ui.notifications.warn(game.i18n.format('PROFOUNDRY.Notify.CategoryExists', { label }));
+                return;
+            }
+            const lastOrder = Math.max(0, ...this.drafts.map(category => category.order).filter(order => order < DEFAULT_CATEGORY_ORDER));
+            this.drafts.push({
+                key,
+                label,
+                icon: DEFAULT_CATEGORY_ICON,
+                order: lastOrder + 1,
+                inBank: false,
+                removable: true
+            });
+            this.render();
+        });
+
+        html.find('.delete-category').on('click', (event) => {
+            event.preventDefault();
+            this.readForm();
+            const key = event.currentTarget.dataset.category;
+            this.drafts = this.drafts.filter(category => category.key !== key);
+            this.render();
+        });
+
+        // Preview icon changes as they are typed
+        html.find('input[data-field="icon"]').on('input', (event) => {
+            $(event.currentTarget).closest('.category-row').find('.category-icon-preview').attr('class', `${event.currentTarget.value} category-icon-preview`);
+        });
+    }
+
+    /**
+     * Copy the values currently shown in the form into the drafts
+     */
+    readForm() {
+        if (!this.element || !this.element.length) return;
+        this.element.find('.category-row').each((index, row) => {
+            const category = this.drafts.find(c => c.key === row.dataset.category);
+            if (!category) return;
+            const $row = $(row);
+            category.label = $row.find('input[data-field="label"]').val().trim() || category.label;
+            category.icon = $row.find('input[data-field="icon"]').val().trim() || DEFAULT_CATEGORY_ICON;
+            const order = Number($row.find('input[data-field="order"]').val());
+            category.order = Number.isFinite(order) ? order : DEFAULT_CATEGORY_ORDER;
+        });
+    }
+
+    async _updateObject(event, formData) {
+        this.readForm();
+
+        // Only store what differs from the shipped defaults, so later defaults still apply
+        const config = {};
+        for (const category of this.drafts) {
+            // Default labels are shown translated, so compare against the translation
+            const defaults = DEFAULT_CATEGORIES[category.key]
+                ? { ...DEFAULT_CATEGORIES[category.key], label: game.i18n.localize(DEFAULT_CATEGORIES[category.key].label) }
+                : null;
+            const entry = {};
+            for (const field of ['label', 'icon', 'order']) {
+                if (!defaults || defaults[field] !== category[field]) entry[field] = category[field];
+            }
+            if (!category.inBank || Object.keys(entry).length > 0) config[category.key] = entry;
+        }
+
+        await game.settings.set(MODULE_ID, 'categoryConfig', config);
+        ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.CategoriesSaved'));
+        this.drafts = null;
+        this.render();
+    }
+}
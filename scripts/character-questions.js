@@ -11,6 +11,26 @@ let debugLogger = null;
 let errorHandler = null;
 let configValidator = null;
 
+// The open Profoundry window, if any
+let characterQuestionsApp = null;
+
+// Statuses the question browser can filter by
+const BROWSE_STATUSES = {
+    all: 'PROFOUNDRY.Browse.Status.All',
+    blocked: 'PROFOUNDRY.Browse.Status.Blocked',
+    asked: 'PROFOUNDRY.Browse.Status.Asked',
+    custom: 'PROFOUNDRY.Browse.Status.Custom',
+    favorite: 'PROFOUNDRY.Browse.Status.Favorite'
+};
+
+/**
+ * Get the marker for question text shown in English because it has no translation
+ * @returns {string}
+ */
+function getFallbackBadge() {
+    return ` <span class="question-fallback-badge" title="${game.i18n.localize('PROFOUNDRY.Question.Fallback')}">EN</span>`;
+}
+
 /**
  * Character Questions Form Application
  */
@@ -18,6 +38,8 @@ class CharacterQuestions extends Application {
     constructor(options = {}) {
         super(options);
         this.questions = [];
+        // What the question browser shows, kept across re-renders
+        this.browse = { open: false, search: '', category: '', status: 'all' };
     }
 
     static get defaultOptions() {
@@ -28,86 +50,138 @@ class CharacterQuestions extends Application {
             height: 600,
             resizable: true,
             minimizable: true,
-            title: "Profoundry",
+            title: "PROFOUNDRY.Title",
         });
     }
 
     async getData() {
-        const savedData = game.settings.get(MODULE_ID, 'formData') || {};
-        const blockedQuestions = game.settings.get(MODULE_ID, 'blockedQuestions') || [];
+        // Restore the working list saved by an earlier window or session
+        if (!this._questionsRestored) {
+            // Questions flagged while the window was closed stay off the list
+            this.questions = (game.settings.get(MODULE_ID, 'questionList') || []).filter(q => !ProfoundrySafety.isFlagged(q.questionData));
+            this._questionsRestored = true;
+        }
 
-        // Fetch category counts
+        const savedData = getSavedFormData();
+        const blockedQuestions = QuestionBank.getBlockedQuestions();
+
+        // Fetch categories and their counts
+        const categories = await this.getAvailableCategories();
         const categoryCounts = await this.getCategoryCounts(blockedQuestions);
 
+        const chatRecipients = savedData.chatRecipients || [];
+        const historyActor = this.getHistoryActor();
+
+        const drawSettings = savedData.draw || {};
+        const drawWeights = drawSettings.weights || {};
+
+        // Offer the languages of the bank, and the current one even if nothing is translated to it
+        const currentLanguage = QuestionBank.getDefaultLanguage();
+        const secondaryLanguage = QuestionBank.getSecondaryLanguage();
+        const languages = await QuestionBank.getLanguages();
+        if (!languages.includes(currentLanguage)) languages.push(currentLanguage);
+
         return {
-            language: savedData.language || 'en',
-            blockedQuestions: blockedQuestions,
+            isGM: game.user.isGM,
+            characterName: game.user.isGM ? null : game.user.character?.name || null,
+            schedulerEnabled: QuestionScheduler.enabled,
+            schedulerPaused: QuestionScheduler.paused,
+            languages: languages.map(language => ({
+                code: language,
+                name: QuestionBank.getLanguageName(language),
+                selected: language === currentLanguage,
+                secondary: language === secondaryLanguage
+            })),
+            chatVisibility: getChatVisibility(),
+            players: game.users.filter(user => !user.isGM).map(user => ({
+                id: user.id,
+                name: user.name,
+                selected: chatRecipients.includes(user.id)
+            })),
+            characters: game.actors.filter(actor => actor.hasPlayerOwner).map(actor => ({
+                id: actor.id,
+                name: actor.name,
+                selected: actor.id === historyActor?.id
+            })),
             blockedCount: blockedQuestions.length,
+            browse: this.browse,
+            browseStatuses: Object.entries(BROWSE_STATUSES).map(([value, label]) => ({
+                value,
+                label,
+                selected: value === this.browse.status
+            })),
+            categories: categories.map(category => ({
+                ...category,
+                count: categoryCounts[category.key] ?? 0,
+                drawSelected: category.key in drawWeights,
+                drawWeight: drawWeights[category.key] || 1
+            })),
+            drawCount: drawSettings.count || 3,
+            favoritesOnly: !!savedData.favoritesOnly,
             categoryCounts: categoryCounts
         };
     }
 
     async getCategoryCounts(blockedQuestions) {
-        const jsonUrl = 'https://raw.githubusercontent.com/orangebutblue/CharacterQuestions/main/questions.json';
+        let categories = [];
 
         try {
-            const response = await fetch(jsonUrl);
-            if (!response.ok) {
-                throw new Error(`Error fetching JSON: ${response.statusText}`);
-            }
-            const data = await response.json();
+            categories = (await this.getAvailableCategories()).map(category => category.key);
 
             // Calculate available questions for each category
-            const categories = ['background', 'motivations', 'personality', 'values', 'relationships', 'secrets', 'weakness', 'interests', 'society'];
             const counts = {};
 
-            categories.forEach(category => {
-                if (data[category] && Array.isArray(data[category])) {
-                    const totalQuestions = data[category].length;
-                    const blockedInCategory = data[category].filter(q => blockedQuestions.includes(q.en)).length;
-
-                    // Also subtract questions that are currently selected in this session
-                    const currentCategoryQuestions = (this.questions || []).filter(q => q.category === category);
-                    const selectedInCategory = currentCategoryQuestions.length;
-
-                    counts[category] = totalQuestions - blockedInCategory - selectedInCategory;
-                } else {
-                    counts[category] = 0;
-                }
-            });
+            for (const category of categories) {
+                const questions = await QuestionBank.getQuestions(category);
+                counts[category] = this.filterAvailableQuestions(questions, category, blockedQuestions).length;
+            }
 
             return counts;
         } catch (error) {
             console.error('Character Questions | Error fetching category counts:', error);
             // Return zeros for all categories if fetch fails
-            return {
-                background: 0,
-                motivations: 0,
-                personality: 0,
-                values: 0,
-                relationships: 0,
-                secrets: 0,
-                weakness: 0,
-                interests: 0,
-                society: 0
-            };
+            return Object.fromEntries(categories.map(category => [category, 0]));
         }
     }
 
-    activateListeners(html) {
-        // Only activate once
-        if (this._listenersActivated) return;
-        this._listenersActivated = true;
+    /**
+     * Get the categories this user may draw from
+     * Players only get the categories the GM allows them.
+     * @returns {Promise<object[]>}  See QuestionBank.getCategories
+     */
+    async getAvailableCategories() {
+        const categories = await QuestionBank.getCategories();
+        if (game.user.isGM) return categories;
+
+        const playerDisabled = game.settings.get(MODULE_ID, 'playerDisabledCategories') || [];
+        return categories.filter(category => !playerDisabled.includes(category.key));
+    }
 
+    activateListeners(html) {
         // Language selection changes
-        const languageSelect = html.find('#language');
-        // Set initial value from saved settings
-        const savedData = game.settings.get(MODULE_ID, 'formData') || {};
-        languageSelect.val(savedData.language || 'en');
+        // Languages are chosen per user, so they are client settings
+        html.find('#language').on('change', (event) => {
+            game.settings.set(MODULE_ID, 'language', event.currentTarget.value);
+        });
 
-        languageSelect.on('change', () => {
-            const formData = { language: languageSelect.val() };
-            game.settings.set(MODULE_ID, 'formData', formData);
+        html.find('#secondary-language').on('change', (event) => {
+            game.settings.set(MODULE_ID, 'secondaryLanguage', event.currentTarget.value);
+        });
+
+        // Chat visibility changes
+        const visibilitySelect = html.find('#chat-visibility');
+        visibilitySelect.val(getChatVisibility());
+
+        visibilitySelect.on('change', () => {
+            const visibility = visibilitySelect.val();
+            html.find('.chat-recipients').toggle(visibility === CHAT_VISIBILITY.PLAYERS);
+            this.saveFormData({ chatVisibility: visibility });
+        });
+
+        // Whisper recipient changes
+        html.on('change', '.chat-recipient', () => {
+            const recipients = html.find('.chat-recipient:checked').map((i, input) => input.value).get();
+            this.saveFormData({ chatRecipients: recipients });
         });
 
         // Category button clicks
@@ -128,29 +202,186 @@ class CharacterQuestions extends Application {
             this.sendQuestionToChat(questionId);
         });
 
+        // Answer question buttons, shown to players
+        html.on('click', '.question-answer', (event) => {
+            const questionId = event.currentTarget.dataset.questionId;
+            this.answerQuestion(questionId);
+        });
+
+        // Players can hide a question for the rest of the session without saying who asked
+        html.on('click', '.question-flag', (event) => {
+            const question = this.questions.find(q => q.id === event.currentTarget.dataset.questionId);
+            if (question) ProfoundrySafety.flagQuestion(QuestionBank.getQuestionKey(question.questionData));
+        });
+
+        // Character history selection changes
+        html.find('#history-actor').on('change', async (event) => {
+            await this.saveFormData({ historyActorId: event.currentTarget.value || null });
+            this.updateCategoryCounts();
+        });
+
+        // Only draw the world's favorite questions
+        html.find('#favorites-only').on('change', async (event) => {
+            await this.saveFormData({ favoritesOnly: event.currentTarget.checked });
+            this.updateCategoryCounts();
+        });
+
+        // Reset the selected character's history
+        html.on('click', '.reset-history-btn', (event) => {
+            this.resetHistory();
+        });
+
+        // Question target changes
+        html.on('change', '.question-target', (event) => {
+            const question = this.questions.find(q => q.id === event.currentTarget.dataset.questionId);
+            if (question) {
+                question.targetUserId = event.currentTarget.value || null;
+                this.saveQuestions();
+                QuestionBoard.broadcast(BOARD_CHANGES.UPDATE, this.questions, [question.id]);
+            }
+        });
+
+        // Drag questions to reorder the list
+        html.on('dragstart', '.question-item', (event) => {
+            this._draggedQuestionId = event.currentTarget.dataset.questionId;
+            event.originalEvent.dataTransfer.effectAllowed = 'move';
+            event.originalEvent.dataTransfer.setData('text/plain', this._draggedQuestionId);
+            event.currentTarget.classList.add('dragging');
+        });
+
+        html.on('dragover', '.question-item', (event) => {
+            if (!this._draggedQuestionId) return;
+            event.preventDefault();
+            event.currentTarget.classList.add('drag-over');
+        });
+
+        html.on('dragleave', '.question-item', (event) => {
+            event.currentTarget.classList.remove('drag-over');
+        });
+
+        html.on('drop', '.question-item', (event) => {
+            if (!this._draggedQuestionId) return;
+            event.preventDefault();
+            this.moveQuestion(this._draggedQuestionId, event.currentTarget.dataset.questionId);
+        });
+
+        html.on('dragend', '.question-item', (event) => {
+            this._draggedQuestionId = null;
+            html.find('.question-item').removeClass('dragging drag-over');
+        });
+
+        // Favorite question buttons
+        html.on('click', '.question-favorite', (event) => {
+            const question = this.questions.find(q => q.id === event.currentTarget.dataset.questionId);
+            if (question) QuestionBank.toggleFavorite(question.questionData);
+        });
+
+        // Follow up a question that was sent to chat
+        html.on('click', '.question-follow-up', (event) => {
+            this.askFollowUp(event.currentTarget.dataset.questionId);
+        });
+
         // Block question buttons
         html.on('click', '.question-block', (event) => {
             const questionId = event.currentTarget.dataset.questionId;
             this.blockQuestion(questionId);
         });
 
-        // Toggle blocked questions section
-        html.on('click', '.toggle-blocked-btn', (event) => {
-            const list = this.element.find('.blocked-questions-list');
-            const icon = this.element.find('.toggle-blocked-btn i');
-            if (list.is(':visible')) {
-                list.slideUp();
+        // Toggle the question browser, its list is only built while it is open
+        html.on('click', '.toggle-browse-btn', (event) => {
+            const body = this.element.find('.browse-body');
+            const icon = this.element.find('.toggle-browse-btn i');
+            this.browse.open = !body.is(':visible');
+            if (this.browse.open) {
+                body.slideDown();
+                icon.removeClass('fa-chevron-right').addClass('fa-chevron-down');
+                this.updateBrowseDisplay();
+            } else {
+                body.slideUp();
+                icon.removeClass('fa-chevron-down').addClass('fa-chevron-right');
+            }
+        });
+
+        // Browser filters
+        const search = foundry.utils.debounce(() => this.updateBrowseDisplay(), 200);
+        html.on('input', '.browse-search', (event) => {
+            this.browse.search = event.currentTarget.value;
+            search();
+        });
+
+        html.on('change', '.browse-category', (event) => {
+            this.browse.category = event.currentTarget.value;
+            this.updateBrowseDisplay();
+        });
+
+        html.on('change', '.browse-status', (event) => {
+            this.browse.status = event.currentTarget.value;
+            this.updateBrowseDisplay();
+        });
+
+        // Browser actions
+        html.on('click', '.browse-add', (event) => {
+            const found = this._browseEntries?.get(event.currentTarget.dataset.questionKey);
+            if (found && !found.flagged) this.insertQuestion(found.category, found.questionData, { source: 'browse' });
+        });
+
+        html.on('click', '.browse-block', async (event) => {
+            const found = this._browseEntries?.get(event.currentTarget.dataset.questionKey);
+            if (found && await QuestionBank.blockQuestion(found.questionData)) {
+                ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.QuestionBlocked'));
+            }
+        });
+
+        // Toggle the draw section
+        html.on('click', '.toggle-draw-btn', (event) => {
+            const body = this.element.find('.draw-body');
+            const icon = this.element.find('.toggle-draw-btn i');
+            if (body.is(':visible')) {
+                body.slideUp();
                 icon.removeClass('fa-chevron-down').addClass('fa-chevron-right');
             } else {
-                list.slideDown();
+                body.slideDown();
                 icon.removeClass('fa-chevron-right').addClass('fa-chevron-down');
             }
         });
 
+        // Draw several questions at once
+        html.on('click', '.draw-btn', (event) => {
+            const weights = {};
+            html.find('.draw-category-toggle:checked').each((i, input) => {
+                const category = input.dataset.category;
+                const weight = Number(html.find(`.draw-category-weight[data-category="${category}"]`).val());
+                weights[category] = weight > 0 ? weight : 1;
+            });
+            const count = Math.max(1, Math.floor(Number(html.find('#draw-count').val()) || 1));
+
+            if (Object.keys(weights).length === 0) {
+                ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.SelectDrawCategory'));
+                return;
+            }
+
+            this.saveFormData({ draw: { weights, count } });
+            this.drawQuestions(weights, count);
+        });
+
+        // Browser favorites and ratings
+        html.on('click', '.browse-favorite', (event) => {
+            const found = this._browseEntries?.get(event.currentTarget.dataset.questionKey);
+            if (found) QuestionBank.toggleFavorite(found.questionData);
+        });
+
+        // Clicking a question's current rating removes it
+        html.on('click', '.browse-rate', (event) => {
+            const { questionKey, rating } = event.currentTarget.dataset;
+            const found = this._browseEntries?.get(questionKey);
+            if (!found) return;
+            QuestionBank.setRating(found.questionData, Number(rating) === found.rating ? null : Number(rating));
+        });
+
         // Unblock question buttons
-        html.on('click', '.unblock-btn', (event) => {
-            const questionText = event.currentTarget.dataset.question;
-            this.unblockQuestion(questionText);
+        html.on('click', '.browse-unblock', (event) => {
+            const questionKey = event.currentTarget.dataset.questionKey;
+            this.unblockQuestion(questionKey);
         });
 
         // Clear all questions
@@ -158,132 +389,426 @@ class CharacterQuestions extends Application {
             this.clearAllQuestions();
         });
 
-        // Initialize blocked questions display
-        this.updateBlockedQuestionsDisplay();
+        // Open the custom questions editor
+        html.on('click', '.edit-custom-btn', (event) => {
+            new CustomQuestionsEditor().render(true);
+        });
+
+        // Pause or resume automatic questions
+        html.on('click', '.toggle-scheduler-btn', (event) => {
+            QuestionScheduler.setPaused(!QuestionScheduler.paused);
+        });
+
+        // Open the category settings
+        html.on('click', '.edit-categories-btn', (event) => {
+            new CategoryConfig().render(true);
+        });
+
+        // Move blocked questions, custom questions and category settings between worlds
+        html.on('click', '.export-data-btn', (event) => {
+            ProfoundryTransfer.exportData();
+        });
+
+        html.on('click', '.import-data-btn', (event) => {
+            ProfoundryTransfer.importData();
+        });
+
+        // Write the characters' questions and answers to a journal or a Markdown file
+        html.on('click', '.export-journal-btn', (event) => {
+            ProfoundryJournal.openExportDialog();
+        });
+
+        // Open the question board players see
+        html.on('click', '.open-board-btn', (event) => {
+            QuestionBoard.open();
+        });
+
+        // Restore the current questions after a re-render
+        this.updateQuestionsDisplay();
+
+        // Restore the question browser after a re-render
+        this.updateBrowseDisplay();
+    }
+
+    /**
+     * Put a question at the top of the list, or at the end of its thread when it follows up another one
+     * @param {string} category
+     * @param {object} questionData  The question as stored in the bank
+     * @param {object} [options]
+     * @param {string} [options.source='window']  Passed to the profoundry.questionDrawn hook
+     * @param {string} [options.language]
+     * @param {object} [options.parent]  The question on the list this one follows up
+     */
+    insertQuestion(category, questionData, { source = 'window', language = QuestionBank.getDefaultLanguage(), parent = null } = {}) {
+        const entry = QuestionBank.createEntry(category, questionData, language);
+        if (!this.questions) this.questions = [];
+
+        if (parent) {
+            // A thread is named after its first question, follow-ups go to the same player
+            const parentMessageId = this.getMessageId(parent.id);
+            entry.thread = {
+                id: parent.thread?.id || parent.id,
+                parentId: parent.id,
+                parentQuestion: parent.question,
+                // The chat messages of the thread's first question and of the parent, which chat and profiles group by
+                messageId: parent.thread ? parent.thread.messageId || this.getMessageId(parent.thread.id) : parentMessageId,
+                parentMessageId
+            };
+            entry.targetUserId = parent.targetUserId || null;
+            let index = this.questions.indexOf(parent) + 1;
+            while (this.questions[index]?.thread?.id === entry.thread.id) index++;
+            this.questions.splice(index, 0, entry);
+        } else {
+            this.questions.unshift(entry);
+        }
+        this.saveQuestions();
+        QuestionBoard.broadcast(BOARD_CHANGES.ADD, this.questions, [entry.id]);
+        Hooks.callAll('profoundry.questionDrawn', entry, { source });
+
+        this.updateQuestionsDisplay();
+
+        // Update category counts since we now have one less available
+        this.updateCategoryCounts();
     }
 
     async addQuestion(category) {
         const button = this.element.find(`[data-category="${category}"]`);
-        const language = this.element.find('#language').val() || 'en';
-        const jsonUrl = 'https://raw.githubusercontent.com/orangebutblue/CharacterQuestions/main/questions.json';
+        const language = QuestionBank.getDefaultLanguage();
 
         // Set loading state
         button.addClass('loading');
 
         try {
-            const response = await fetch(jsonUrl);
-            if (!response.ok) {
-                throw new Error(`Error fetching JSON: ${response.statusText}`);
-            }
-            const data = await response.json();
+            const questions = await QuestionBank.getQuestions(category);
 
-            if (data[category] && data[category].length > 0) {
+            if (questions.length > 0) {
                 // Get blocked questions
-                const blockedQuestions = game.settings.get(MODULE_ID, 'blockedQuestions') || [];
-
-                // Filter out blocked questions
-                let availableQuestions = data[category].filter(q => !blockedQuestions.includes(q.en));
-
-                // Also filter out questions that are already selected in the current session
-                const currentCategoryQuestions = (this.questions || []).filter(q => q.category === category);
-                availableQuestions = availableQuestions.filter(q =>
-                    !currentCategoryQuestions.some(selectedQ => selectedQ.questionData.en === q.en)
-                );
+                const blockedQuestions = QuestionBank.getBlockedQuestions();
+                const availableQuestions = this.filterAvailableQuestions(questions, category, blockedQuestions);
 
                 if (availableQuestions.length === 0) {
-                    ui.notifications.warn(`No more unique questions available in the ${category} category. Remove some questions first or try a different category.`);
+                    ui.notifications.warn(game.i18n.format('PROFOUNDRY.Notify.NoUniqueLeft', { category: QuestionBank.getCategoryLabel(category) }));
                     return;
                 }
 
-                const randomIndex = Math.floor(Math.random() * availableQuestions.length);
-                const questionData = availableQuestions[randomIndex];
-                const question = questionData[language] || questionData.en;
-
-                // Create unique ID for this question
-                const questionId = `${category}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-                // Add to our questions collection
-                if (!this.questions) this.questions = [];
-                this.questions.unshift({
-                    id: questionId,
-                    category: category,
-                    question: question,
-                    questionData: questionData // Store the full question data for blocking
-                });
-
-                // Update display
-                this.updateQuestionsDisplay();
-
-                // Update category counts since we now have one less available
-                this.updateCategoryCounts();
+                this.insertQuestion(category, QuestionBank.pickQuestion(availableQuestions), { language });
             } else {
-                ui.notifications.warn(`No questions available in the ${category} category.`);
+                ui.notifications.warn(game.i18n.format('PROFOUNDRY.Notify.NoQuestions', { category: QuestionBank.getCategoryLabel(category) }));
             }
 
         } catch (error) {
             console.error('Character Questions | Error adding question:', error);
-            ui.notifications.error('Error adding question. Check console for details.');
+            ui.notifications.error(game.i18n.localize('PROFOUNDRY.Notify.AddError'));
         } finally {
             // Remove loading state
             button.removeClass('loading');
         }
     }
 
+    /**
+     * Draw several unique questions at once from weighted categories
+     * @param {object} weights  Relative weight of each category to draw from, keyed by category
+     * @param {number} count  Number of questions to draw
+     */
+    async drawQuestions(weights, count) {
+        const language = QuestionBank.getDefaultLanguage();
+        const blockedQuestions = QuestionBank.getBlockedQuestions();
+
+        try {
+            // Build the pool of each category once, drawn questions are taken out of it
+            const pools = {};
+            for (const [category, weight] of Object.entries(weights)) {
+                if (!(weight > 0)) continue;
+                const questions = await QuestionBank.getQuestions(category);
+                pools[category] = this.filterAvailableQuestions(questions, category, blockedQuestions);
+            }
+
+            const drawn = [];
+            while (drawn.length < count) {
+                const categories = Object.keys(pools).filter(category => pools[category].length > 0);
+                if (categories.length === 0) break;
+
+                // Pick a category by weight, then a question from it
+                const totalWeight = categories.reduce((sum, category) => sum + weights[category], 0);
+                let roll = Math.random() * totalWeight;
+                const category = categories.find(c => (roll -= weights[c]) < 0) || categories[categories.length - 1];
+
+                const pool = pools[category];
+                const [questionData] = pool.splice(pool.indexOf(QuestionBank.pickQuestion(pool)), 1);
+                drawn.push(QuestionBank.createEntry(category, questionData, language));
+            }
+
+            if (drawn.length === 0) {
+                ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.NoneLeftInSelection'));
+                return;
+            }
+            if (drawn.length < count) {
+                ui.notifications.warn(game.i18n.format('PROFOUNDRY.Notify.OnlyFewLeft', { count: drawn.length }));
+            }
+
+            if (!this.questions) this.questions = [];
+            this.questions.unshift(...drawn);
+            this.saveQuestions();
+            QuestionBoard.broadcast(BOARD_CHANGES.ADD, this.questions, drawn.map(entry => entry.id));
+            drawn.forEach(entry => Hooks.callAll('profoundry.questionDrawn', entry, { source: 'window' }));
+            this.updateQuestionsDisplay();
+            this.updateCategoryCounts();
+        } catch (error) {
+            console.error('Character Questions | Error drawing questions:', error);
+            ui.notifications.error(game.i18n.localize('PROFOUNDRY.Notify.DrawError'));
+        }
+    }
+
+    /**
+     * Remove the questions that should not be drawn again
+     * Skips blocked questions, questions already on screen and questions the selected character was asked before.
+     * With "Favorites only" ticked, only the world's favorites are left.
+     * @param {object[]} questions  Questions of a single category
+     * @param {string} category
+     * @param {string[]} blockedQuestions
+     * @returns {object[]}
+     */
+    filterAvailableQuestions(questions, category, blockedQuestions) {
+        const currentCategoryQuestions = (this.questions || []).filter(q => q.category === category);
+
+        return QuestionBank.filterQuestions(questions, {
+            blockedQuestions: blockedQuestions,
+            excludedQuestions: currentCategoryQuestions.map(q => q.questionData),
+            askedQuestions: QuestionHistory.getAsked(this.getHistoryActor()),
+            favoriteQuestions: getSavedFormData().favoritesOnly ? QuestionBank.getFavorites() : null,
+            ...ProfoundrySafety.getFilters()
+        });
+    }
+
+    /**
+     * Get the character whose question history filters the draws
+     * Players always draw for their own character, or for themselves when they have none.
+     * @returns {Actor|User|null}
+     */
+    getHistoryActor() {
+        if (!game.user.isGM) return game.user.character || game.user;
+        const savedData = getSavedFormData();
+        return savedData.historyActorId ? game.actors.get(savedData.historyActorId) || null : null;
+    }
+
+    async resetHistory() {
+        const actor = this.getHistoryActor();
+        if (!actor) {
+            ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.SelectHistoryCharacter'));
+            return;
+        }
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('PROFOUNDRY.ResetHistory.Title'),
+            content: `<p>${game.i18n.format('PROFOUNDRY.ResetHistory.Content', { name: Handlebars.escapeExpression(actor.name) })}</p>`
+        });
+        if (!confirmed) return;
+
+        await QuestionHistory.reset(actor);
+        ui.notifications.info(game.i18n.format('PROFOUNDRY.Notify.HistoryReset', { name: actor.name }));
+        this.updateCategoryCounts();
+    }
+
     deleteQuestion(questionId) {
         if (this.questions) {
             this.questions = this.questions.filter(q => q.id !== questionId);
+            this.saveQuestions();
+            QuestionBoard.broadcast(BOARD_CHANGES.DELETE, this.questions, [questionId]);
             this.updateQuestionsDisplay();
             // Update category counts since we now have one more available
             this.updateCategoryCounts();
         }
     }
 
-    sendQuestionToChat(questionId) {
+    /**
+     * Take the questions players flagged this session off the list
+     */
+    removeFlaggedQuestions() {
+        const removed = (this.questions || []).filter(q => ProfoundrySafety.isFlagged(q.questionData));
+        removed.forEach(q => this.deleteQuestion(q.id));
+        if (removed.length === 0) this.updateCategoryCounts();
+    }
+
+    async sendQuestionToChat(questionId) {
+        if (!game.user.isGM) return;
         const question = this.questions.find(q => q.id === questionId);
         if (question) {
-            ChatMessage.create({
-                user: game.user.id,
-                content: `Question about <i>${question.category.charAt(0).toUpperCase() + question.category.slice(1)}</i>:<br/><b>${question.question}</b>`,
+            const savedData = getSavedFormData();
+            const visibility = getChatVisibility();
+            const recipients = savedData.chatRecipients || [];
+
+            if (visibility === CHAT_VISIBILITY.PLAYERS && recipients.length === 0) {
+                ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.SelectRecipients'));
+                return;
+            }
+
+            const message = await postQuestionToChat(question, {
+                visibility,
+                recipients,
+                targetUserId: question.targetUserId,
+                historyDocument: this.getHistoryActor()
             });
-            ui.notifications.info('Question sent to chat!');
+            question.sent = true;
+            // Follow-ups point to this message, so their thread can be put together from chat
+            question.messageId = message.id;
+            this.saveQuestions();
+            QuestionBoard.broadcast(BOARD_CHANGES.SENT, this.questions, [question.id]);
+            this.updateQuestionsDisplay();
+            ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.QuestionSent'));
+            this.updateCategoryCounts();
         }
     }
 
-    blockQuestion(questionId) {
-        const question = this.questions.find(q => q.id === questionId);
-        if (question && question.questionData && question.questionData.en) {
-            const blockedQuestions = game.settings.get(MODULE_ID, 'blockedQuestions') || [];
-            if (!blockedQuestions.includes(question.questionData.en)) {
-                blockedQuestions.push(question.questionData.en);
-                game.settings.set(MODULE_ID, 'blockedQuestions', blockedQuestions);
-                ui.notifications.info('Question blocked from future appearances.');
-                // Update the blocked count in the header and the list contents
-                this.updateBlockedCount();
-                this.updateBlockedQuestionsDisplay();
-                // Update category counts
-                this.updateCategoryCounts();
+    /**
+     * Add a follow-up to a question, right below it in the list
+     * Picks one of the questions it links to, or any question left in its category when it links to none.
+     * @param {string} questionId
+     */
+    async askFollowUp(questionId) {
+        if (!game.user.isGM) return;
+        const parent = this.questions.find(q => q.id === questionId);
+        if (!parent) return;
+
+        // Without the chat messages of the thread, its follow-ups couldn't be grouped with it
+        if (!this.getMessageId(parent.id) || (parent.thread && !parent.thread.messageId && !this.getMessageId(parent.thread.id))) {
+            ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.FollowUpNoMessage'));
+            return;
+        }
+
+        try {
+            const blockedQuestions = QuestionBank.getBlockedQuestions();
+            const linked = (await QuestionBank.getFollowUps(parent.questionData))
+                .filter(found => this.filterAvailableQuestions([found.questionData], found.category, blockedQuestions).length > 0);
+
+            let pick = QuestionBank.pickQuestion(linked, found => found.questionData);
+            if (!pick) {
+                const questions = await QuestionBank.getQuestions(parent.category);
+                const available = this.filterAvailableQuestions(questions, parent.category, blockedQuestions);
+                if (available.length > 0) pick = { category: parent.category, questionData: QuestionBank.pickQuestion(available) };
+            }
+            if (!pick) {
+                ui.notifications.warn(game.i18n.format('PROFOUNDRY.Notify.NoUniqueLeft', { category: QuestionBank.getCategoryLabel(parent.category) }));
+                return;
             }
+
+            this.insertQuestion(pick.category, pick.questionData, { source: 'followUp', language: parent.language, parent });
+        } catch (error) {
+            console.error('Character Questions | Error adding follow-up:', error);
+            ui.notifications.error(game.i18n.localize('PROFOUNDRY.Notify.AddError'));
+        }
+    }
+
+    /**
+     * Get the chat message a question on the list was sent as
+     * Questions sent before the message was remembered on them find it in the chat log.
+     * @param {string} questionId  The question's id on the list
+     * @returns {string|null}
+     */
+    getMessageId(questionId) {
+        return this.questions?.find(q => q.id === questionId)?.messageId
+            || game.messages.find(message => message.getFlag(MODULE_ID, 'question')?.id === questionId)?.id
+            || null;
+    }
+
+    /**
+     * Let a player answer a question in private, saving the answer on their character
+     * @param {string} questionId
+     */
+    answerQuestion(questionId) {
+        const question = this.questions.find(q => q.id === questionId);
+        if (!question) return;
+
+        const actor = game.user.character;
+        CharacterAnswers.openQuestionAnswerDialog(actor, {
+            id: question.id,
+            questionId: question.questionData.id || null,
+            question: question.question,
+            questionData: question.questionData,
+            category: question.category,
+            language: question.language || 'en'
+        }, async () => {
+            // An answered question is done with, so it leaves the list and won't be drawn again
+            await QuestionHistory.record(actor, question.questionData);
+            this.deleteQuestion(questionId);
+        });
+    }
+
+    async blockQuestion(questionId) {
+        if (!game.user.isGM) return;
+        const question = this.questions.find(q => q.id === questionId);
+        if (question && QuestionBank.getQuestionKey(question.questionData)) {
             // Remove from current list
             this.deleteQuestion(questionId);
+            if (await QuestionBank.blockQuestion(question.questionData)) {
+                ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.QuestionBlocked'));
+                // The blockedQuestions change handler refreshes the blocked list and counts
+            }
         }
     }
 
-    unblockQuestion(questionText) {
-        const blockedQuestions = game.settings.get(MODULE_ID, 'blockedQuestions') || [];
-        const index = blockedQuestions.indexOf(questionText);
-        if (index !== -1) {
-            blockedQuestions.splice(index, 1);
-            game.settings.set(MODULE_ID, 'blockedQuestions', blockedQuestions);
-            ui.notifications.info('Question unblocked.');
-            // Update the blocked questions display
-            this.updateBlockedQuestionsDisplay();
-            // Update category counts
-            this.updateCategoryCounts();
+    async unblockQuestion(questionKey) {
+        if (!game.user.isGM) return;
+        if (await QuestionBank.unblockQuestion(questionKey)) {
+            ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.QuestionUnblocked'));
         }
     }
 
+    /**
+     * Refresh everything that depends on the ratings and favorites
+     */
+    refreshRatings() {
+        this.updateQuestionsDisplay();
+        this.updateCategoryCounts();
+    }
+
+    /**
+     * Refresh everything that depends on the blocked list
+     */
+    refreshBlockedQuestions() {
+        this.updateBlockedCount();
+        this.updateCategoryCounts();
+    }
+
+    /**
+     * Merge changes into the saved form data
+     * Players can't write world settings, so the GM saves their choices for them.
+     * @param {object} changes
+     */
+    saveFormData(changes) {
+        if (!game.user.isGM) return ProfoundrySocket.executeAsGM('updatePlayerData', { changes });
+        const savedData = game.settings.get(MODULE_ID, 'formData') || {};
+        return game.settings.set(MODULE_ID, 'formData', { ...savedData, ...changes });
+    }
+
+    /**
+     * Move a question to the position of another one in the list
+     * @param {string} questionId
+     * @param {string} targetId
+     */
+    moveQuestion(questionId, targetId) {
+        if (questionId === targetId) return;
+        const from = this.questions.findIndex(q => q.id === questionId);
+        const to = this.questions.findIndex(q => q.id === targetId);
+        if (from === -1 || to === -1) return;
+
+        const [question] = this.questions.splice(from, 1);
+        this.questions.splice(to, 0, question);
+        this.saveQuestions();
+        QuestionBoard.broadcast(BOARD_CHANGES.MOVE, this.questions, [questionId]);
+        this.updateQuestionsDisplay();
+    }
+
+    /**
+     * Save the working list so it survives closing the window and reloading
+     */
+    saveQuestions() {
+        return game.settings.set(MODULE_ID, 'questionList', this.questions || []);
+    }
+
     clearAllQuestions() {
         this.questions = [];
+        this.saveQuestions();
+        QuestionBoard.broadcast(BOARD_CHANGES.CLEAR, this.questions);
         this.updateQuestionsDisplay();
         // Update category counts since all questions are now available again
         this.updateCategoryCounts();
@@ -296,26 +821,45 @@ class CharacterQuestions extends Application {
             questionsList.html(`
                 <div class="empty-state">
                     <i class="fas fa-question-circle"></i>
-                    <p>Click category buttons to add questions</p>
+                    <p>${game.i18n.localize('PROFOUNDRY.Window.Empty')}</p>
                 </div>
             `);
             return;
         }
 
+        const isGM = game.user.isGM;
         const questionsHtml = this.questions.map(q => `
-            <div class="question-item">
+            <div class="question-item${q.sent ? ' sent' : ''}${q.thread ? ' follow-up' : ''}" draggable="true" data-question-id="${q.id}">
                 <div style="flex: 1;">
-                    <span class="question-category">${q.category.charAt(0).toUpperCase() + q.category.slice(1)}</span>
-                    <p class="question-text">${q.question}</p>
+                    <span class="question-category">${q.thread ? `<i class="fas fa-reply fa-flip-horizontal" title="${Handlebars.escapeExpression(game.i18n.format('PROFOUNDRY.Question.FollowUpTo', { question: q.thread.parentQuestion }))}"></i> ` : ''}${QuestionBank.getCategoryLabel(q.category)}${q.questionData.custom ? ` <span class="question-custom-badge">${game.i18n.localize('PROFOUNDRY.Question.CustomBadge')}</span>` : ''}</span>
+                    <p class="question-text">${q.question}${q.fallback ? getFallbackBadge() : ''}</p>
+                    ${q.secondary ? `<p class="question-text question-secondary">${q.secondary.question}${q.secondary.fallback ? getFallbackBadge() : ''}</p>` : ''}
+                    ${isGM ? `
+                    <select class="question-target" data-question-id="${q.id}" title="${game.i18n.localize('PROFOUNDRY.Question.Target')}">
+                        ${this.getTargetOptions(q.targetUserId)}
+                    </select>` : ''}
                 </div>
                 <div class="question-actions">
-                    <button class="question-chat" data-question-id="${q.id}" title="Send to chat">
+                    ${isGM ? `
+                    <button class="question-chat" data-question-id="${q.id}" title="${game.i18n.localize('PROFOUNDRY.Question.SendToChat')}">
                         <i class="fas fa-comment"></i>
+                    </button>${q.sent ? `
+                    <button class="question-follow-up" data-question-id="${q.id}" title="${game.i18n.localize('PROFOUNDRY.Question.FollowUp')}">
+                        <i class="fas fa-reply-all"></i>
+                    </button>` : ''}
+                    <button class="question-favorite${QuestionBank.isFavorite(q.questionData) ? ' active' : ''}" data-question-id="${q.id}" title="${game.i18n.localize('PROFOUNDRY.Question.Favorite')}">
+                        <i class="fas fa-star"></i>
                     </button>
-                    <button class="question-block" data-question-id="${q.id}" title="Block this question">
+                    <button class="question-block" data-question-id="${q.id}" title="${game.i18n.localize('PROFOUNDRY.Question.Block')}">
                         <i class="fas fa-ban"></i>
+                    </button>` : `
+                    <button class="question-answer" data-question-id="${q.id}" title="${game.i18n.localize('PROFOUNDRY.Question.Answer')}">
+                        <i class="fas fa-pen"></i>
                     </button>
-                    <button class="question-delete" data-question-id="${q.id}" title="Remove this question">
+                    <button class="question-flag" data-question-id="${q.id}" title="${game.i18n.localize('PROFOUNDRY.Question.Flag')}">
+                        <i class="fas fa-flag"></i>
+                    </button>`}
+                    <button class="question-delete" data-question-id="${q.id}" title="${game.i18n.localize('PROFOUNDRY.Question.Remove')}">
                         <i class="fas fa-times"></i>
                     </button>
                 </div>
@@ -325,35 +869,147 @@ class CharacterQuestions extends Application {
         questionsList.html(questionsHtml);
     }
 
+    /**
+     * Build the options of a question's target picker
+     * Lists every active player along with their assigned character.
+     * @param {string} [selectedUserId]
+     * @returns {string}
+     */
+    getTargetOptions(selectedUserId) {
+        const users = game.users.filter(user => !user.isGM && (user.active || user.id === selectedUserId));
+        const options = users.map(user => {
+            const label = user.character ? `${user.character.name} (${user.name})` : user.name;
+            const selected = user.id === selectedUserId ? 'selected' : '';
+            return `<option value="${user.id}" ${selected}>${Handlebars.escapeExpression(label)}</option>`;
+        });
+        return [`<option value="">${game.i18n.localize('PROFOUNDRY.Question.AnyTarget')}</option>`, ...options].join('');
+    }
+
     updateBlockedCount() {
-        const blockedQuestions = game.settings.get(MODULE_ID, 'blockedQuestions') || [];
-        const headerSpan = this.element.find('.toggle-blocked-btn span');
-        headerSpan.text(`Blocked Questions (${blockedQuestions.length})`);
+        const blockedQuestions = QuestionBank.getBlockedQuestions();
+        const headerSpan = this.element.find('.toggle-browse-btn span');
+        headerSpan.text(game.i18n.format('PROFOUNDRY.Browse.Heading', { count: blockedQuestions.length }));
     }
 
-    updateBlockedQuestionsDisplay() {
-        const blockedQuestions = game.settings.get(MODULE_ID, 'blockedQuestions') || [];
-        const blockedList = this.element.find('.blocked-questions-list');
+    /**
+     * Build the entries the question browser lists, with what the filters look at
+     * Blocked questions outside the offered categories, such as those of disabled categories, are listed too,
+     * and so are blocked keys no question matches any more, so they can still be unblocked.
+     * @returns {Promise<object[]>}
+     */
+    async getBrowseEntries() {
+        const language = QuestionBank.getDefaultLanguage();
+        const blockedQuestions = QuestionBank.getBlockedQuestions();
+        const asked = QuestionHistory.getAsked(this.getHistoryActor());
+        const favorites = QuestionBank.getFavorites();
+        const ratings = QuestionBank.getRatings();
+        const excludedTags = ProfoundrySafety.getExcludedTags();
+
+        const toEntry = (key, category, questionData) => ({
+            key,
+            category,
+            questionData,
+            text: QuestionBank.getQuestionText(questionData, language).text,
+            blocked: blockedQuestions.includes(key),
+            asked: asked.includes(key),
+            custom: !!questionData.custom,
+            favorite: favorites.includes(key),
+            rating: ratings[key] || null,
+            // Flagged questions stay off the list for the session, excluded tags only warn as a whisper may still fit
+            flagged: ProfoundrySafety.isFlagged(questionData),
+            excluded: (questionData.tags || []).some(tag => excludedTags.includes(tag)),
+            onList: (this.questions || []).some(q => QuestionBank.isSameQuestion(q.questionData, questionData))
+        });
+
+        const entries = [];
+        const keys = new Set();
+        for (const { key: category } of await this.getAvailableCategories()) {
+            for (const questionData of await QuestionBank.getQuestions(category)) {
+                const key = QuestionBank.getQuestionKey(questionData);
+                if (!key) continue;
+                keys.add(key);
+                entries.push(toEntry(key, category, questionData));
+            }
+        }
 
-        if (blockedQuestions.length === 0) {
-            blockedList.html('<p class="empty-blocked">No questions blocked</p>');
+        // Listed by the key they were blocked with, which is what unblocking looks for
+        for (const blocked of await QuestionBank.getBlockedEntries(language)) {
+            if (keys.has(blocked.key)) continue;
+            entries.push(blocked.questionData
+                ? { ...toEntry(blocked.key, blocked.category, blocked.questionData), blocked: true }
+                : { key: blocked.key, category: null, questionData: null, text: blocked.text, blocked: true, asked: false, custom: false, favorite: false, rating: null, flagged: false, excluded: false, onList: false });
+        }
+        return entries;
+    }
+
+    /**
+     * Show the questions that match the browser's search and filters
+     */
+    async updateBrowseDisplay() {
+        if (!game.user.isGM || !this.browse.open) return;
+        const list = this.element.find('.browse-list');
+        if (!list.length) return;
+
+        const { search, category, status } = this.browse;
+        const entries = (await this.getBrowseEntries()).filter(entry =>
+            (!category || entry.category === category)
+            && (status === 'all' || entry[status])
+            && (entry.questionData ? QuestionBank.matchesSearch(entry.questionData, search) : entry.text.toLowerCase().includes(search.trim().toLowerCase()))
+        );
+        this._browseEntries = new Map(entries.filter(entry => entry.questionData).map(entry => [entry.key, entry]));
+
+        if (entries.length === 0) {
+            list.html(`<p class="browse-empty">${game.i18n.localize('PROFOUNDRY.Browse.Empty')}</p>`);
             return;
         }
 
-        const blockedHtml = blockedQuestions.map(question => `
-            <div class="blocked-question-item">
-                <span class="blocked-question-text">${question}</span>
-                <button class="unblock-btn" data-question="${question}" title="Unblock this question">
-                    <i class="fas fa-times"></i>
-                </button>
+        const escape = Handlebars.escapeExpression;
+        const badge = (condition, label) => condition ? ` <span class="browse-badge">${game.i18n.localize(label)}</span>` : '';
+        list.html(entries.map(entry => `
+            <div class="browse-item${entry.blocked ? ' blocked' : ''}">
+                <div class="browse-item-body">
+                    <span class="browse-item-category">${entry.category ? QuestionBank.getCategoryLabel(entry.category) : game.i18n.localize('PROFOUNDRY.Browse.Unknown')}${badge(entry.custom, 'PROFOUNDRY.Question.CustomBadge')}${badge(entry.asked, 'PROFOUNDRY.Browse.AskedBadge')}${badge(entry.onList, 'PROFOUNDRY.Browse.OnListBadge')}${badge(entry.flagged, 'PROFOUNDRY.Browse.FlaggedBadge')}${badge(entry.excluded, 'PROFOUNDRY.Browse.ExcludedBadge')}</span>
+                    <span class="browse-item-text">${escape(entry.text)}</span>
+                    ${entry.questionData ? this.getRatingHtml(entry) : ''}
+                </div>
+                <div class="browse-item-actions">
+                    ${entry.questionData ? `
+                    <button type="button" class="browse-favorite${entry.favorite ? ' active' : ''}" data-question-key="${escape(entry.key)}" title="${game.i18n.localize('PROFOUNDRY.Browse.Favorite')}">
+                        <i class="fas fa-star"></i>
+                    </button>
+                    <button type="button" class="browse-add" data-question-key="${escape(entry.key)}" title="${game.i18n.localize(entry.flagged ? 'PROFOUNDRY.Browse.FlaggedAdd' : 'PROFOUNDRY.Browse.Add')}" ${entry.onList || entry.flagged ? 'disabled' : ''}>
+                        <i class="fas fa-plus"></i>
+                    </button>` : ''}
+                    ${entry.blocked ? `
+                    <button type="button" class="browse-unblock" data-question-key="${escape(entry.key)}" title="${game.i18n.localize('PROFOUNDRY.Browse.Unblock')}">
+                        <i class="fas fa-undo"></i>
+                    </button>` : `
+                    <button type="button" class="browse-block" data-question-key="${escape(entry.key)}" title="${game.i18n.localize('PROFOUNDRY.Browse.Block')}">
+                        <i class="fas fa-ban"></i>
+                    </button>`}
+                </div>
             </div>
-        `).join('');
+        `).join(''));
+    }
 
-        blockedList.html(blockedHtml);
+    /**
+     * Build the rating stars of a browser entry, unrated questions show the default rating faded
+     * @param {object} entry  See getBrowseEntries
+     * @returns {string}
+     */
+    getRatingHtml(entry) {
+        const rating = entry.rating || DEFAULT_QUESTION_RATING;
+        const key = Handlebars.escapeExpression(entry.key);
+        const stars = Array.from({ length: MAX_QUESTION_RATING }, (_, index) => `
+            <i class="browse-rate ${index < rating ? 'fas' : 'far'} fa-star" data-question-key="${key}" data-rating="${index + 1}"></i>`).join('');
+        const title = entry.rating
+            ? game.i18n.format('PROFOUNDRY.Browse.Rating', { rating })
+            : game.i18n.localize('PROFOUNDRY.Browse.Unrated');
+        return `<span class="browse-rating${entry.rating ? '' : ' unrated'}" title="${title}">${stars}</span>`;
     }
 
     async updateCategoryCounts() {
-        const blockedQuestions = game.settings.get(MODULE_ID, 'blockedQuestions') || [];
+        const blockedQuestions = QuestionBank.getBlockedQuestions();
         const counts = await this.getCategoryCounts(blockedQuestions);
 
         // Update each category count badge
@@ -363,6 +1019,9 @@ class CharacterQuestions extends Application {
                 countElement.text(counts[category]);
             }
         });
+
+        // Whatever changed the counts may have changed what the browser shows
+        this.updateBrowseDisplay();
     }
 
     close() {
@@ -386,6 +1045,39 @@ Hooks.once('init', () => {
     // Register settings change handlers
     registerSettingsChangeHandlers();
 
+    // Register chat context menu entries
+    registerChatIntegration();
+
+    // Register the /question chat command
+    registerChatCommands();
+
+    // Show questions and answers on actor sheets
+    registerActorProfileHooks();
+
+    // Let players ask the GM for changes they can't make themselves
+    ProfoundrySocket.initialize();
+
+    // Show the GM's drawn questions to everyone on the question board
+    QuestionBoard.initialize();
+
+    // Let players flag questions anonymously
+    ProfoundrySafety.initialize();
+
+    // Expose the API for macros and other modules
+    game.modules.get(MODULE_ID).api = createModuleApi();
+
+    // Keep the question target pickers in sync with who is online
+    Hooks.on('userConnected', () => {
+        const app = getCharacterQuestionsApp();
+        if (app) app.updateQuestionsDisplay();
+    });
+
+    // Keep the counts in sync when the selected character's history changes elsewhere
+    Hooks.on('updateActor', (actor) => {
+        const app = getCharacterQuestionsApp();
+        if (app && app.getHistoryActor()?.id === actor.id) app.updateCategoryCounts();
+    });
+
     // Scene controls will be initialized later in the ready hook
 
     console.log('Character Questions | Module initialized');
@@ -396,6 +1088,17 @@ Hooks.once('ready', async () => {
     console.log('Character Questions | Module ready');
 
     try {
+        // Load the question bank in the background so the first click is instant
+        QuestionBank.load().catch(error => {
+            console.error('Character Questions | Error loading question bank:', error);
+        });
+
+        // Update data saved by older versions, in the background like the bank
+        ProfoundryMigration.run();
+
+        // Start posting automatic questions if configured
+        QuestionScheduler.initialize();
+
         // Initialize native UI integration
         await initializeProperSceneControls();
 
@@ -419,7 +1122,7 @@ Hooks.once('ready', async () => {
 
     } catch (error) {
         console.error('Character Questions | Setup failed:', error);
-        ui.notifications.error(`Character Questions setup failed: ${error.message}`);
+        ui.notifications.error(game.i18n.format('PROFOUNDRY.Notify.SetupFailed', { error: error.message }));
     }
 });
 
@@ -537,8 +1240,8 @@ function registerHandlebarsHelpers() {
 function registerModuleSettings() {
     // Form data setting
     game.settings.register(MODULE_ID, 'formData', {
-        name: 'Form Data',
-        hint: 'Data from the form',
+        name: 'PROFOUNDRY.Setting.FormData.Name',
+        hint: 'PROFOUNDRY.Setting.FormData.Hint',
         scope: 'world',
         config: false,
         default: {},
@@ -547,22 +1250,320 @@ function registerModuleSettings() {
 
     // Blocked questions setting
     game.settings.register(MODULE_ID, 'blockedQuestions', {
-        name: 'Blocked Questions',
-        hint: 'List of questions that have been blocked from appearing',
+        name: 'PROFOUNDRY.Setting.BlockedQuestions.Name',
+        hint: 'PROFOUNDRY.Setting.BlockedQuestions.Hint',
+        scope: 'world',
+        config: false,
+        default: [],
+        type: Array,
+        onChange: () => getCharacterQuestionsApp()?.refreshBlockedQuestions(),
+    });
+
+    // The GM's ratings and favorites, which bias the random draw
+    game.settings.register(MODULE_ID, 'questionRatings', {
+        name: 'PROFOUNDRY.Setting.QuestionRatings.Name',
+        hint: 'PROFOUNDRY.Setting.QuestionRatings.Hint',
+        scope: 'world',
+        config: false,
+        default: {},
+        type: Object,
+        onChange: () => getCharacterQuestionsApp()?.refreshRatings(),
+    });
+
+    game.settings.register(MODULE_ID, 'favoriteQuestions', {
+        name: 'PROFOUNDRY.Setting.FavoriteQuestions.Name',
+        hint: 'PROFOUNDRY.Setting.FavoriteQuestions.Hint',
+        scope: 'world',
+        config: false,
+        default: [],
+        type: Array,
+        onChange: () => getCharacterQuestionsApp()?.refreshRatings(),
+    });
+
+    // Languages, chosen by each user for themselves
+    game.settings.register(MODULE_ID, 'language', {
+        name: 'PROFOUNDRY.Setting.Language.Name',
+        hint: 'PROFOUNDRY.Setting.Language.Hint',
+        scope: 'client',
+        config: false,
+        default: '',
+        type: String,
+    });
+
+    game.settings.register(MODULE_ID, 'secondaryLanguage', {
+        name: 'PROFOUNDRY.Setting.SecondaryLanguage.Name',
+        hint: 'PROFOUNDRY.Setting.SecondaryLanguage.Hint',
+        scope: 'client',
+        config: false,
+        default: '',
+        type: String,
+    });
+
+    // Working question list, kept per client so each GM can prepare their own
+    game.settings.register(MODULE_ID, 'questionList', {
+        name: 'PROFOUNDRY.Setting.QuestionList.Name',
+        hint: 'PROFOUNDRY.Setting.QuestionList.Hint',
+        scope: 'client',
+        config: false,
+        default: [],
+        type: Array,
+    });
+
+    // Custom questions setting
+    game.settings.register(MODULE_ID, 'customQuestions', {
+        name: 'PROFOUNDRY.Setting.CustomQuestions.Name',
+        hint: 'PROFOUNDRY.Setting.CustomQuestions.Hint',
+        scope: 'world',
+        config: false,
+        default: {},
+        type: Object,
+        onChange: () => {
+            const app = getCharacterQuestionsApp();
+            if (app) app.updateCategoryCounts();
+        },
+    });
+
+    // Category display settings
+    game.settings.register(MODULE_ID, 'categoryConfig', {
+        name: 'PROFOUNDRY.Setting.CategoryConfig.Name',
+        hint: 'PROFOUNDRY.Setting.CategoryConfig.Hint',
+        scope: 'world',
+        config: false,
+        default: {},
+        type: Object,
+    });
+
+    // Window choices of each player, saved by the GM for them
+    game.settings.register(MODULE_ID, 'playerData', {
+        name: 'PROFOUNDRY.Setting.PlayerData.Name',
+        hint: 'PROFOUNDRY.Setting.PlayerData.Hint',
+        scope: 'world',
+        config: false,
+        default: {},
+        type: Object,
+    });
+
+    // Settings shown in the Profoundry settings menu
+    game.settings.registerMenu(MODULE_ID, 'settingsMenu', {
+        name: 'PROFOUNDRY.SettingsMenu.Name',
+        label: 'PROFOUNDRY.SettingsMenu.Label',
+        hint: 'PROFOUNDRY.SettingsMenu.Hint',
+        icon: 'fas fa-cogs',
+        type: ProfoundrySettingsMenu,
+        restricted: true,
+    });
+
+    game.settings.register(MODULE_ID, 'defaultLanguage', {
+        name: 'PROFOUNDRY.Setting.DefaultLanguage.Name',
+        hint: 'PROFOUNDRY.Setting.DefaultLanguage.Hint',
+        scope: 'world',
+        config: false,
+        default: '',
+        type: String,
+    });
+
+    game.settings.register(MODULE_ID, 'defaultChatVisibility', {
+        name: 'PROFOUNDRY.Setting.DefaultChatVisibility.Name',
+        hint: 'PROFOUNDRY.Setting.DefaultChatVisibility.Hint',
+        scope: 'world',
+        config: false,
+        default: CHAT_VISIBILITY.GM,
+        type: String,
+        choices: {
+            [CHAT_VISIBILITY.GM]: 'PROFOUNDRY.Visibility.GM',
+            [CHAT_VISIBILITY.PUBLIC]: 'PROFOUNDRY.Visibility.Public'
+        },
+    });
+
+    game.settings.register(MODULE_ID, 'disabledCategories', {
+        name: 'PROFOUNDRY.Setting.DisabledCategories.Name',
+        hint: 'PROFOUNDRY.Setting.DisabledCategories.Hint',
+        scope: 'world',
+        config: false,
+        default: [],
+        type: Array,
+    });
+
+    game.settings.register(MODULE_ID, 'allowPlayers', {
+        name: 'PROFOUNDRY.Setting.AllowPlayers.Name',
+        hint: 'PROFOUNDRY.Setting.AllowPlayers.Hint',
+        scope: 'world',
+        config: false,
+        default: false,
+        type: Boolean,
+        requiresReload: true,
+    });
+
+    game.settings.register(MODULE_ID, 'playerDisabledCategories', {
+        name: 'PROFOUNDRY.Setting.PlayerDisabledCategories.Name',
+        hint: 'PROFOUNDRY.Setting.PlayerDisabledCategories.Hint',
         scope: 'world',
         config: false,
         default: [],
         type: Array,
     });
 
+    // Content tags left out for everyone, and for single players keyed by user id
+    game.settings.register(MODULE_ID, 'excludedTags', {
+        name: 'PROFOUNDRY.Setting.ExcludedTags.Name',
+        hint: 'PROFOUNDRY.Setting.ExcludedTags.Hint',
+        scope: 'world',
+        config: false,
+        default: [],
+        type: Array,
+    });
+
+    game.settings.register(MODULE_ID, 'playerExcludedTags', {
+        name: 'PROFOUNDRY.Setting.PlayerExcludedTags.Name',
+        hint: 'PROFOUNDRY.Setting.PlayerExcludedTags.Hint',
+        scope: 'world',
+        config: false,
+        default: {},
+        type: Object,
+    });
+
+    // Questions players flagged this session, written by the GM only
+    game.settings.register(MODULE_ID, 'flaggedQuestions', {
+        name: 'PROFOUNDRY.Setting.FlaggedQuestions.Name',
+        hint: 'PROFOUNDRY.Setting.FlaggedQuestions.Hint',
+        scope: 'world',
+        config: false,
+        default: [],
+        type: Array,
+        onChange: () => ProfoundrySafety._receive(),
+    });
+
+    game.settings.register(MODULE_ID, 'chatCardStyle', {
+        name: 'PROFOUNDRY.Setting.ChatCardStyle.Name',
+        hint: 'PROFOUNDRY.Setting.ChatCardStyle.Hint',
+        scope: 'world',
+        config: false,
+        default: 'card',
+        type: String,
+        choices: CHAT_CARD_STYLES,
+    });
+
+    // Online question bank settings
+    game.settings.register(MODULE_ID, 'useRemoteQuestionBank', {
+        name: 'PROFOUNDRY.Setting.UseRemoteQuestionBank.Name',
+        hint: 'PROFOUNDRY.Setting.UseRemoteQuestionBank.Hint',
+        scope: 'world',
+        config: false,
+        default: false,
+        type: Boolean,
+        onChange: () => QuestionBank.clearCache(),
+    });
+
+    game.settings.register(MODULE_ID, 'questionBankUrl', {
+        name: 'PROFOUNDRY.Setting.QuestionBankUrl.Name',
+        hint: 'PROFOUNDRY.Setting.QuestionBankUrl.Hint',
+        scope: 'world',
+        config: false,
+        default: DEFAULT_QUESTION_BANK_URL,
+        type: String,
+        onChange: () => QuestionBank.clearCache(),
+    });
+
+    // Automatic question prompts
+    game.settings.register(MODULE_ID, 'autoPromptTrigger', {
+        name: 'PROFOUNDRY.Setting.AutoPromptTrigger.Name',
+        hint: 'PROFOUNDRY.Setting.AutoPromptTrigger.Hint',
+        scope: 'world',
+        config: false,
+        default: AUTO_PROMPT_TRIGGERS.NONE,
+        type: String,
+        choices: {
+            [AUTO_PROMPT_TRIGGERS.NONE]: 'PROFOUNDRY.Trigger.None',
+            [AUTO_PROMPT_TRIGGERS.READY]: 'PROFOUNDRY.Trigger.Ready',
+            [AUTO_PROMPT_TRIGGERS.SCENE]: 'PROFOUNDRY.Trigger.Scene',
+            [AUTO_PROMPT_TRIGGERS.INTERVAL]: 'PROFOUNDRY.Trigger.Interval',
+            [AUTO_PROMPT_TRIGGERS.COMBAT]: 'PROFOUNDRY.Trigger.Combat'
+        },
+        onChange: () => QuestionScheduler.restart(),
+    });
+
+    game.settings.register(MODULE_ID, 'autoPromptInterval', {
+        name: 'PROFOUNDRY.Setting.AutoPromptInterval.Name',
+        hint: 'PROFOUNDRY.Setting.AutoPromptInterval.Hint',
+        scope: 'world',
+        config: false,
+        default: 30,
+        type: Number,
+        range: { min: 1, max: 240, step: 1 },
+        onChange: () => QuestionScheduler.restart(),
+    });
+
+    game.settings.register(MODULE_ID, 'autoPromptCategories', {
+        name: 'PROFOUNDRY.Setting.AutoPromptCategories.Name',
+        hint: 'PROFOUNDRY.Setting.AutoPromptCategories.Hint',
+        scope: 'world',
+        config: false,
+        default: '',
+        type: String,
+    });
+
+    game.settings.register(MODULE_ID, 'autoPromptPaused', {
+        name: 'PROFOUNDRY.Setting.AutoPromptPaused.Name',
+        hint: 'PROFOUNDRY.Setting.AutoPromptPaused.Hint',
+        scope: 'world',
+        config: false,
+        default: false,
+        type: Boolean,
+    });
+
+    game.settings.register(MODULE_ID, 'autoPromptRotation', {
+        name: 'PROFOUNDRY.Setting.AutoPromptRotation.Name',
+        hint: 'PROFOUNDRY.Setting.AutoPromptRotation.Hint',
+        scope: 'world',
+        config: false,
+        default: 0,
+        type: Number,
+    });
+
+    // Last data migration that ran in this world
+    game.settings.register(MODULE_ID, 'migrationVersion', {
+        name: 'PROFOUNDRY.Setting.MigrationVersion.Name',
+        hint: 'PROFOUNDRY.Setting.MigrationVersion.Hint',
+        scope: 'world',
+        config: false,
+        default: 0,
+        type: Number,
+    });
+
     console.log('Character Questions | Settings registered');
 }
 
+// Settings that change what the Profoundry window shows
+const WINDOW_SETTINGS = [
+    'categoryConfig',
+    'defaultLanguage',
+    'defaultChatVisibility',
+    'disabledCategories',
+    'playerDisabledCategories',
+    'excludedTags',
+    'playerExcludedTags',
+    'useRemoteQuestionBank',
+    'questionBankUrl',
+    'autoPromptTrigger',
+    'autoPromptPaused'
+];
+
 /**
  * Register settings change handlers
  */
 function registerSettingsChangeHandlers() {
-    // Additional setup for change handlers if needed
+    // Several settings are often saved at once, so only re-render once
+    const rerenderWindow = foundry.utils.debounce(() => getCharacterQuestionsApp()?.render(), 100);
+
+    const onSettingChanged = (setting) => {
+        const [namespace, key] = setting.key.split(/\.(.*)/s);
+        if (namespace === MODULE_ID && WINDOW_SETTINGS.includes(key)) rerenderWindow();
+    };
+
+    // World settings are stored as Setting documents
+    Hooks.on('createSetting', onSettingChanged);
+    Hooks.on('updateSetting', onSettingChanged);
+
     console.log('Character Questions | Settings change handlers registered');
 }
 
@@ -578,7 +1579,7 @@ async function initializeProperSceneControls() {
         await initializeBasicSceneControls();
     } catch (error) {
         console.error('Character Questions | Scene controls integration failed:', error);
-        ui.notifications.warn('Character Questions scene controls integration failed.');
+        ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.SceneControlsFailed'));
     }
 }
 
@@ -610,13 +1611,13 @@ async function initializeBasicSceneControls() {
 
             const characterQuestionsControls = {
                 name: 'character-questions',
-                title: 'Character Questions',
+                title: 'PROFOUNDRY.Controls.Title',
                 icon: 'fas fa-question-circle',
-                visible: true,
+                visible: game.user.isGM || game.settings.get(MODULE_ID, 'allowPlayers'),
                 layer: 'TokenLayer',
                 tools: [{
                     name: 'open-questions',
-                    title: 'Open Character Questions',
+                    title: 'PROFOUNDRY.Controls.Open',
                     icon: 'fas fa-question',
                     button: true,
                     onClick: () => {
@@ -627,7 +1628,7 @@ async function initializeBasicSceneControls() {
                             openCharacterQuestionsDialog();
                         } catch (error) {
                             console.error('Character Questions | Error opening dialog:', error);
-                            ui.notifications.error('Error opening Character Questions dialog. Check console for details.');
+                            ui.notifications.error(game.i18n.localize('PROFOUNDRY.Notify.OpenError'));
                         }
                     }
                 }]
@@ -647,76 +1648,97 @@ async function initializeBasicSceneControls() {
             // Ensure html is a jQuery object
             const $html = html instanceof jQuery ? html : $(html);
 
-            // Check if button already exists
-            if ($html.find('#character-questions-control').length > 0) {
-                console.log('Character Questions | Button already in HTML');
-                return;
-            }
-
-            console.log('Character Questions | Adding button to scene controls HTML');
+            // Players only get the Profoundry button when the GM allows it, GMs open the board from the window
+            const buttons = [{
+                id: 'character-questions-control',
+                control: 'character-questions',
+                icon: 'fa-question-circle',
+                title: game.i18n.localize('PROFOUNDRY.Controls.Title'),
+                visible: game.user.isGM || game.settings.get(MODULE_ID, 'allowPlayers'),
+                onClick: () => openCharacterQuestionsDialog()
+            }, {
+                id: 'profoundry-board-control',
+                control: 'profoundry-board',
+                icon: 'fa-chalkboard',
+                title: game.i18n.localize('PROFOUNDRY.Controls.Board'),
+                visible: !game.user.isGM,
+                onClick: () => QuestionBoard.open()
+            }];
 
             const majorVersion = parseInt(game.version?.split('.')[0] || '0');
 
-            if (majorVersion >= 13) {
-                // V13+ uses <menu> elements with buttons
-                const layersMenu = $html.find('menu#scene-controls-layers');
-
-                if (layersMenu.length > 0) {
-                    console.log('Character Questions | Found v13 layers menu, adding button');
-
-                    const buttonLi = $(`
-                        <li id="character-questions-control">
-                            <button type="button" class="control ui-control layer icon fa-solid fa-question-circle"
-                                    role="tab" data-action="control" data-control="character-questions"
-                                    data-tooltip="" aria-pressed="false"
-                                    aria-label="Character Questions"
-                                    aria-controls="scene-controls-tools">
-                            </button>
-                        </li>
-                    `);
-
-                    buttonLi.find('button').on('click', (event) => {
-                        console.log('Character Questions | Scene control button clicked!');
-                        event.preventDefault();
-                        event.stopPropagation();
-                        openCharacterQuestionsDialog();
-                    });
-
-                    layersMenu.append(buttonLi);
-                    console.log('Character Questions | Button added to v13 layers menu');
-                } else {
-                    console.warn('Character Questions | Could not find v13 layers menu');
-                }
-            } else {
-                // V11/V12 use <ol> elements with <li> items
-                let controlsList = $html.find('ol.main-controls');
-                if (controlsList.length === 0) {
-                    controlsList = $html.find('ol.control-tools');
-                }
-                if (controlsList.length === 0) {
-                    controlsList = $html.find('ol').first();
-                }
-
-                if (controlsList.length > 0) {
-                    console.log('Character Questions | Found v11/v12 controls list, adding button');
+            for (const button of buttons) {
+                if (!button.visible) continue;
 
-                    const buttonLi = $(`
-                        <li id="character-questions-control" class="scene-control" data-control="character-questions" title="Character Questions">
-                            <i class="fas fa-question-circle"></i>
-                        </li>
-                    `);
-
-                    buttonLi.on('click', (event) => {
-                        console.log('Character Questions | Scene control button clicked!');
-                        event.preventDefault();
-                        openCharacterQuestionsDialog();
-                    });
+                // Check if button already exists
+                if ($html.find(`#${button.id}`).length > 0) {
+                    console.log(`Character Questions | ${button.title} button already in HTML`);
+                    continue;
+                }
 
-                    controlsList.append(buttonLi);
-                    console.log('Character Questions | Button added to v11/v12 controls list');
+                console.log(`Character Questions | Adding ${button.title} button to scene controls HTML`);
+
+                if (majorVersion >= 13) {
+                    // V13+ uses <menu> elements with buttons
+                    const layersMenu = $html.find('menu#scene-controls-layers');
+
+                    if (layersMenu.length > 0) {
+                        console.log('Character Questions | Found v13 layers menu, adding button');
+
+                        const buttonLi = $(`
+                            <li id="${button.id}">
+                                <button type="button" class="control ui-control layer icon fa-solid ${button.icon}"
+                                        role="tab" data-action="control" data-control="${button.control}"
+                                        data-tooltip="" aria-pressed="false"
+                                        aria-label="${button.title}"
+                                        aria-controls="scene-controls-tools">
+                                </button>
+                            </li>
+                        `);
+
+                        buttonLi.find('button').on('click', (event) => {
+                            console.log('Character Questions | Scene control button clicked!');
+                            event.preventDefault();
+                            event.stopPropagation();
+                            button.onClick();
+                        });
+
+                        layersMenu.append(buttonLi);
+                        console.log('Character Questions | Button added to v13 layers menu');
+                    } else {
+                        console.warn('Character Questions | Could not find v13 layers menu');
+                    }
                 } else {
-                    console.warn('Character Questions | Could not find any controls list for v11/v12');
-                    console.log('Character Questions | HTML structure:', $html[0]?.outerHTML?.substring(0, 500));
+                    // V11/V12 use <ol> elements with <li> items
+                    let controlsList = $html.find('ol.main-controls');
+                    if (controlsList.length === 0) {
+                        controlsList = $html.find('ol.control-tools');
+                    }
+                    if (controlsList.length === 0) {
+                        controlsList = $html.find('ol').first();
+                    }
+
+                    if (controlsList.length > 0) {
+                        console.log('Character Questions | Found v11/v12 controls list, adding button');
+
+                        const buttonLi = $(`
+                            <li id="${button.id}" class="scene-control" data-control="${button.control}" title="${button.title}">
+                                <i class="fas ${button.icon}"></i>
+                            </li>
+                        `);
+
+                        buttonLi.on('click', (event) => {
+                            console.log('Character Questions | Scene control button clicked!');
+                            event.preventDefault();
+                            button.onClick();
+                        });
+
+                        controlsList.append(buttonLi);
+                        console.log('Character Questions | Button added to v11/v12 controls list');
+                    } else {
+                        console.warn('Character Questions | Could not find any controls list for v11/v12');
+                        console.log('Character Questions | HTML structure:', $html[0]?.outerHTML?.substring(0, 500));
+                    }
                 }
             }
         });
@@ -734,30 +1756,71 @@ async function initializeBasicSceneControls() {
 
     } catch (error) {
         console.error('Character Questions | Scene controls integration failed:', error);
-        ui.notifications.warn('Character Questions scene controls integration failed.');
+        ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.SceneControlsFailed'));
     }
 }
 
 /**
- * Open the character questions floating UI
+ * Get the Profoundry window if it is open
+ * @returns {CharacterQuestions|null}
+ */
+function getCharacterQuestionsApp() {
+    return characterQuestionsApp && characterQuestionsApp.rendered ? characterQuestionsApp : null;
+}
+
+// Window choices players may save for themselves
+const PLAYER_DATA_KEYS = ['draw', 'favoritesOnly'];
+
+/**
+ * Get the window choices of the current user
+ * GMs share the world's formData, players each have their own entry in playerData.
+ * @returns {object}
+ */
+function getSavedFormData() {
+    if (game.user.isGM) return game.settings.get(MODULE_ID, 'formData') || {};
+    return (game.settings.get(MODULE_ID, 'playerData') || {})[game.user.id] || {};
+}
+
+/**
+ * Save a player's own window choices, only the GM can do this
+ * @param {User} user
+ * @param {object} changes  Only the keys in PLAYER_DATA_KEYS are kept
+ */
+async function savePlayerData(user, changes) {
+    if (!game.user.isGM || !user || user.isGM) return;
+    const allowed = Object.fromEntries(Object.entries(changes || {}).filter(([key]) => PLAYER_DATA_KEYS.includes(key)));
+    if (Object.keys(allowed).length === 0) return;
+
+    const playerData = foundry.utils.deepClone(game.settings.get(MODULE_ID, 'playerData') || {});
+    playerData[user.id] = { ...(playerData[user.id] || {}), ...allowed };
+    await game.settings.set(MODULE_ID, 'playerData', playerData);
+}
+
+/**
+ * Open the character questions floating UI, or close it if it is already open
  */
 function openCharacterQuestionsDialog() {
     try {
         console.log('Character Questions | Opening floating UI');
 
+        if (!game.user.isGM && !game.settings.get(MODULE_ID, 'allowPlayers')) {
+            ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.PlayersNotAllowed'));
+            return;
+        }
+
         // If already rendered, close it
-        if (window.characterQuestionsInstance && window.characterQuestionsInstance.isRendered) {
-            window.characterQuestionsInstance.close();
+        if (getCharacterQuestionsApp()) {
+            characterQuestionsApp.close();
             return;
         }
 
         // Create new instance
-        window.characterQuestionsInstance = new CharacterQuestions();
-        window.characterQuestionsInstance.render(true);
+        characterQuestionsApp = new CharacterQuestions();
+        characterQuestionsApp.render(true);
 
         console.log('Character Questions | Floating UI opened successfully');
     } catch (error) {
         console.error('Character Questions | Error opening floating UI:', error);
-        ui.notifications.error('Error opening Character Questions. Check console for details.');
+        ui.notifications.error(game.i18n.localize('PROFOUNDRY.Notify.OpenError'));
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,171 @@
+/**
+ * Profoundry Chat Commands
+ * Adds /question to draw and post a question without opening the window
+ *
+ * Usage: /question [category] [@player] [--lang de] [--whisper]
+ *        /question help
+ */
+
+const CHAT_COMMAND = '/question';
+
+/**
+ * Split a command into its arguments, keeping "quoted names" together
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeChatCommand(text) {
+    return (text.match(/@?"[^"]*"|\S+/g) || []).map(token => token.replace(/"/g, ''));
+}
+
+/**
+ * Find the player meant by an @mention, by user name or by their character's name
+ * @param {string} name
+ * @returns {User|null}
+ */
+function findMentionedUser(name) {
+    const search = name.toLowerCase();
+    return game.users.find(user => user.name.toLowerCase() === search)
+        || game.users.find(user => user.character?.name.toLowerCase() === search)
+        || null;
+}
+
+/**
+ * Parse the arguments of a /question command
+ * @param {string[]} args
+ * @param {object[]} categories  Known categories, see QuestionBank.getCategories
+ * @returns {{category: string|null, targetUser: User|null, language: string|null, whisper: boolean, errors: string[]}}
+ */
+function parseQuestionCommand(args, categories) {
+    const command = { category: null, targetUser: null, language: null, whisper: false, errors: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--whisper' || arg === '-w') {
+            command.whisper = true;
+        } else if (arg === '--lang' || arg === '-l') {
+            command.language = args[++i] || null;
+            if (!command.language) command.errors.push(game.i18n.localize('PROFOUNDRY.Command.LanguageMissing'));
+        } else if (arg.startsWith('@')) {
+            command.targetUser = findMentionedUser(arg.slice(1));
+            if (!command.targetUser) command.errors.push(game.i18n.format('PROFOUNDRY.Command.UnknownUser', { name: arg.slice(1) }));
+        } else {
+            const search = arg.toLowerCase();
+            const category = categories.find(c => c.key === search || c.label.toLowerCase() === search);
+            if (category) command.category = category.key;
+            else command.errors.push(game.i18n.format('PROFOUNDRY.Command.UnknownCategory', { category: arg, command: CHAT_COMMAND }));
+        }
+    }
+
+    return command;
+}
+
+/**
+ * Whisper the list of categories and commands to the current user
+ */
+async function postQuestionCommandHelp() {
+    const categories = await listCategories();
+    const rows = categories
+        .map(category => `<li><i class="${category.icon}"></i> <b>${category.label}</b> (<code>${category.key}</code>): ${game.i18n.format('PROFOUNDRY.Command.CategoryCount', { count: category.count })}</li>`)
+        .join('');
+
+    await ChatMessage.create({
+        user: game.user.id,
+        speaker: { alias: 'Profoundry' },
+        whisper: [game.user.id],
+        content: `
+            <div class="profoundry-command-help">
+                <p><code>${CHAT_COMMAND} [category] [@player] [--lang de] [--whisper]</code></p>
+                <ul>${rows}</ul>
+            </div>
+        `
+    });
+}
+
+/**
+ * Run a /question command
+ * @param {string} text  Everything after /question
+ */
+async function runQuestionCommand(text) {
+    const args = tokenizeChatCommand(text);
+    if (args[0]?.toLowerCase() === 'help') {
+        await postQuestionCommandHelp();
+        return;
+    }
+
+    const categories = await QuestionBank.getCategories();
+    const command = parseQuestionCommand(args, categories);
+    if (command.errors.length > 0) {
+        command.errors.forEach(error => ui.notifications.warn(error));
+        return;
+    }
+
+    // Send it where the window would, --whisper keeps it out of the public log
+    const savedData = game.settings.get(MODULE_ID, 'formData') || {};
+    const recipients = savedData.chatRecipients || [];
+    let visibility = getChatVisibility();
+    if (command.whisper && visibility === CHAT_VISIBILITY.PUBLIC) visibility = CHAT_VISIBILITY.GM;
+    if (visibility === CHAT_VISIBILITY.PLAYERS && recipients.length === 0 && !command.targetUser) {
+        ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.SelectRecipients'));
+        return;
+    }
+
+    // Only a whispered question can skip the tags the other players excluded
+    let users = null;
+    if (command.targetUser && visibility !== CHAT_VISIBILITY.PUBLIC) {
+        users = [command.targetUser];
+    } else if (visibility === CHAT_VISIBILITY.PLAYERS) {
+        users = recipients.map(id => game.users.get(id)).filter(user => user);
+    }
+
+    // Same rules as the window: skip blocked questions, questions on screen and questions already asked
+    const app = getCharacterQuestionsApp();
+    const question = await drawRandomQuestion({
+        category: command.category,
+        language: command.language,
+        actor: command.targetUser ? (command.targetUser.character || command.targetUser) : app?.getHistoryActor(),
+        exclude: (app?.questions || []).map(q => q.questionData),
+        users,
+        source: 'chat'
+    });
+
+    if (!question) {
+        ui.notifications.warn(command.category
+            ? game.i18n.format('PROFOUNDRY.Command.NoneLeft', { category: QuestionBank.getCategoryLabel(command.category) })
+            : game.i18n.localize('PROFOUNDRY.Command.NoneLeftAny'));
+        return;
+    }
+
+    await postQuestionToChat(question, {
+        visibility,
+        recipients,
+        targetUserId: command.targetUser?.id || null,
+        historyDocument: app?.getHistoryActor()
+    });
+    app?.updateCategoryCounts();
+}
+
+/**
+ * Register the chat command hook
+ */
+function registerChatCommands() {
+    Hooks.on('chatMessage', (chatLog, message, chatData) => {
+        const trimmed = message.trim();
+        const [command] = trimmed.split(/\s+/, 1);
+        if (command.toLowerCase() !== CHAT_COMMAND) return;
+
+        if (!game.user.isGM) {
+            ui.notifications.warn(game.i18n.format('PROFOUNDRY.Notify.CommandGMOnly', { command: CHAT_COMMAND }));
+            return false;
+        }
+
+        runQuestionCommand(trimmed.slice(command.length)).catch(error => {
+            console.error('Character Questions | Error running chat command:', error);
+            ui.notifications.error(game.i18n.localize('PROFOUNDRY.Notify.CommandError'));
+        });
+
+        // Don't post the command itself
+        return false;
+    });
+
+    console.log('Character Questions | Chat commands registered');
+}
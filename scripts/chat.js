@@ -0,0 +1,194 @@
+/**
+ * Profoundry Chat
+ * Posts question cards to chat and adds the "Reveal to Everyone" and "Flag" context menu entries
+ */
+
+// Where a question can be sent
+const CHAT_VISIBILITY = {
+    GM: 'gm',
+    PLAYERS: 'players',
+    PUBLIC: 'public'
+};
+
+// Looks available for question chat cards
+const CHAT_CARD_STYLES = {
+    card: 'PROFOUNDRY.CardStyle.Card',
+    parchment: 'PROFOUNDRY.CardStyle.Parchment',
+    plain: 'PROFOUNDRY.CardStyle.Plain'
+};
+
+/**
+ * Get where questions are sent, as chosen in the window or else the world default
+ * @returns {string}  One of CHAT_VISIBILITY
+ */
+function getChatVisibility() {
+    const savedData = game.settings.get(MODULE_ID, 'formData') || {};
+    return savedData.chatVisibility || game.settings.get(MODULE_ID, 'defaultChatVisibility') || CHAT_VISIBILITY.GM;
+}
+
+/**
+ * Post a question to chat
+ * @param {object} question  A question from the CharacterQuestions list
+ * @param {object} [options]
+ * @param {string} [options.visibility]  One of CHAT_VISIBILITY
+ * @param {string[]} [options.recipients]  User ids to whisper to when visibility is "players"
+ * @param {string} [options.targetUserId]  Address the question to this player and their character
+ * @param {Actor|User} [options.historyDocument]  Record the question in this history when there is no target
+ * @returns {Promise<ChatMessage>}
+ */
+async function postQuestionToChat(question, { visibility = CHAT_VISIBILITY.GM, recipients = [], targetUserId = null, historyDocument = null } = {}) {
+    const categoryLabel = QuestionBank.getCategoryLabel(question.category);
+    const targetUser = targetUserId ? game.users.get(targetUserId) : null;
+    const targetActor = targetUser?.character || null;
+
+    let whisper = [];
+    if (targetUser && visibility !== CHAT_VISIBILITY.PUBLIC) {
+        // A directed question goes to its player, GMs see every whisper anyway
+        whisper = [targetUser.id];
+    } else if (visibility === CHAT_VISIBILITY.GM) {
+        whisper = ChatMessage.getWhisperRecipients('GM').map(user => user.id);
+    } else if (visibility === CHAT_VISIBILITY.PLAYERS) {
+        whisper = recipients.filter(id => game.users.get(id));
+    }
+
+    let heading = game.i18n.format('PROFOUNDRY.Chat.QuestionAbout', { category: categoryLabel });
+    if (targetUser) {
+        const targetName = Handlebars.escapeExpression(targetActor?.name || targetUser.name);
+        heading = game.i18n.format('PROFOUNDRY.Chat.QuestionFor', { name: targetName, category: categoryLabel });
+    }
+
+    // Follow-ups say which question they continue
+    const followUp = question.thread
+        ? `<div class="profoundry-question-follow-up"><i class="fas fa-reply fa-flip-horizontal"></i> ${Handlebars.escapeExpression(game.i18n.format('PROFOUNDRY.Question.FollowUpTo', { question: question.thread.parentQuestion }))}</div>`
+        : '';
+
+    const style = game.settings.get(MODULE_ID, 'chatCardStyle') || 'card';
+    const content = `
+        <div class="profoundry-question-card profoundry-card-${style}">
+            <div class="profoundry-question-heading">${heading}</div>
+            ${followUp}
+            <div class="profoundry-question-text"><b>${question.question}</b>${question.fallback ? getFallbackBadge() : ''}</div>
+            ${question.secondary ? `<div class="profoundry-question-text profoundry-question-secondary">${question.secondary.question}${question.secondary.fallback ? getFallbackBadge() : ''}</div>` : ''}
+            <button type="button" class="profoundry-answer-btn">
+                <i class="fas fa-pen"></i> ${game.i18n.localize('PROFOUNDRY.Chat.Answer')}
+            </button>
+        </div>
+    `;
+
+    const message = await ChatMessage.create({
+        user: game.user.id,
+        content: content,
+        whisper: whisper,
+        flags: {
+            [MODULE_ID]: {
+                question: {
+                    id: question.id,
+                    category: question.category,
+                    text: question.question,
+                    language: question.language || 'en',
+                    questionData: question.questionData
+                },
+                // Threads are recorded by chat message, list entries don't outlive the list
+                thread: question.thread ? {
+                    id: question.thread.messageId || null,
+                    parentId: question.thread.parentMessageId || null,
+                    parentQuestion: question.thread.parentQuestion
+                } : null,
+                visibility: visibility,
+                targetUserId: targetUser?.id || null,
+                targetActorId: targetActor?.id || null
+            }
+        }
+    });
+
+    // Remember the question so this character isn't asked it again
+    const history = targetUser ? (targetActor || targetUser) : historyDocument;
+    if (history) await QuestionHistory.record(history, question.questionData);
+
+    Hooks.callAll('profoundry.questionSent', message, question);
+    return message;
+}
+
+/**
+ * Find question messages in the chat log
+ * @param {object} [options]
+ * @param {boolean} [options.whispered]  Only return whispered (true) or public (false) questions
+ * @returns {ChatMessage[]}
+ */
+function getQuestionMessages({ whispered } = {}) {
+    return game.messages.filter(message => {
+        if (!message.getFlag(MODULE_ID, 'question')) return false;
+        if (whispered === undefined) return true;
+        return (message.whisper.length > 0) === whispered;
+    });
+}
+
+/**
+ * Make a whispered question visible to everyone
+ * @param {ChatMessage} message
+ */
+async function revealQuestion(message) {
+    await message.update({
+        whisper: [],
+        blind: false,
+        [`flags.${MODULE_ID}.visibility`]: CHAT_VISIBILITY.PUBLIC,
+        [`flags.${MODULE_ID}.revealed`]: true
+    });
+}
+
+/**
+ * Register the chat message context menu entries
+ */
+function registerChatIntegration() {
+    const majorVersion = parseInt(game.version?.split('.')[0] || '0');
+
+    // V13+ passes HTMLElements and renamed the hook, older versions pass jQuery objects
+    const hookName = majorVersion >= 13 ? 'getChatMessageContextOptions' : 'getChatLogEntryContext';
+    const getMessage = (li) => {
+        const element = li instanceof jQuery ? li[0] : li;
+        return game.messages.get(element?.dataset?.messageId);
+    };
+
+    Hooks.on(hookName, (app, options) => {
+        options.push({
+            name: 'PROFOUNDRY.Chat.Reveal',
+            icon: '<i class="fas fa-eye"></i>',
+            condition: (li) => {
+                const message = getMessage(li);
+                return game.user.isGM && !!message?.getFlag(MODULE_ID, 'question') && message.whisper.length > 0;
+            },
+            callback: (li) => {
+                const message = getMessage(li);
+                if (message) revealQuestion(message);
+            }
+        });
+        options.push({
+            name: 'PROFOUNDRY.Chat.Flag',
+            icon: '<i class="fas fa-flag"></i>',
+            condition: (li) => !game.user.isGM && !!getMessage(li)?.getFlag(MODULE_ID, 'question'),
+            callback: (li) => {
+                const question = getMessage(li)?.getFlag(MODULE_ID, 'question');
+                if (question) ProfoundrySafety.flagQuestion(QuestionBank.getQuestionKey(question.questionData));
+            }
+        });
+    });
+
+    // Wire up the Answer button on question cards
+    const renderHook = majorVersion >= 13 ? 'renderChatMessageHTML' : 'renderChatMessage';
+    Hooks.on(renderHook, (message, html) => {
+        const $html = html instanceof jQuery ? html : $(html);
+        const button = $html.find('.profoundry-answer-btn');
+        if (!button.length) return;
+
+        if (!CharacterAnswers.canAnswer(message)) {
+            button.remove();
+            return;
+        }
+        button.on('click', (event) => {
+            event.preventDefault();
+            CharacterAnswers.openAnswerDialog(message);
+        });
+    });
+
+    console.log('Character Questions | Chat integration registered');
+}
@@ -0,0 +1,142 @@
+/**
+ * Profoundry Custom Questions
+ * GM editor for the world's own questions
+ */
+
+/**
+ * Custom Questions Editor
+ * Edits the customQuestions world setting one category at a time
+ */
+class CustomQuestionsEditor extends FormApplication {
+    constructor(options = {}) {
+        super({}, options);
+        this.category = options.category || 'background';
+        this.drafts = foundry.utils.deepClone(QuestionBank.getCustomQuestions());
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "character-questions-custom",
+            template: `modules/${MODULE_ID}/templates/custom-questions.html`,
+            width: 480,
+            height: 560,
+            resizable: true,
+            closeOnSubmit: false,
+            submitOnChange: false,
+            title: "PROFOUNDRY.CustomQuestions.Title",
+        });
+    }
+
+    async getData() {
+        const languages = await QuestionBank.getLanguages();
+        const tags = await ProfoundrySafety.getTags();
+
+        // Offer every known category, plus any that only have unsaved drafts
+        const categories = (await QuestionBank.getCategories({ includeDisabled: true })).map(c => c.key);
+        Object.keys(this.drafts)
+            .filter(key => !categories.includes(key))
+            .forEach(key => categories.push(key));
+
+        const questions = (this.drafts[this.category] || []).map(q => ({
+            id: q.id,
+            texts: languages.map(lang => ({ lang, text: q[lang] || '' })),
+            tags: tags.map(tag => ({
+                tag,
+                label: ProfoundrySafety.getTagLabel(tag),
+                checked: (q.tags || []).includes(tag)
+            }))
+        }));
+
+        return {
+            categories: categories.map(key => ({
+                key,
+                label: QuestionBank.getCategoryLabel(key),
+                selected: key === this.category
+            })),
+            languages,
+            questions
+        };
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // Switch to another category, keeping unsaved edits
+        html.find('#custom-category').on('change', (event) => {
+            this.readForm();
+            this.category = event.currentTarget.value;
+            this.render();
+        });
+
+        html.find('.add-custom-question').on('click', (event) => {
+            event.preventDefault();
+            this.readForm();
+            if (!this.drafts[this.category]) this.drafts[this.category] = [];
+            this.drafts[this.category].push({ id: `custom-${foundry.utils.randomID()}`, en: '' });
+            this.render();
+        });
+
+        html.find('.delete-custom-question').on('click', (event) => {
+            event.preventDefault();
+            this.readForm();
+            const questionId = event.currentTarget.dataset.questionId;
+            this.drafts[this.category] = (this.drafts[this.category] || []).filter(q => q.id !== questionId);
+            this.render();
+        });
+    }
+
+    /**
+     * Copy the questions currently shown in the form into the drafts
+     * Fields the form doesn't show, such as follow-ups, are kept from the draft.
+     */
+    readForm() {
+        if (!this.element || !this.element.length) return;
+        const drafts = new Map((this.drafts[this.category] || []).map(q => [q.id, q]));
+        const questions = [];
+        this.element.find('.custom-question').each((index, row) => {
+            const draft = drafts.get(row.dataset.questionId) || {};
+            const question = Object.fromEntries(Object.entries(draft).filter(([key]) => QUESTION_META_KEYS.includes(key) && key !== 'custom'));
+            question.id = row.dataset.questionId;
+            $(row).find('textarea[data-lang]').each((i, input) => {
+                const text = input.value.trim();
+                if (text) question[input.dataset.lang] = text;
+            });
+
+            const tags = $(row).find('input[data-tag]:checked').map((i, input) => input.dataset.tag).get();
+            if (tags.length > 0) question.tags = tags;
+            else delete question.tags;
+            questions.push(question);
+        });
+        this.drafts[this.category] = questions;
+    }
+
+    async _updateObject(event, formData) {
+        this.readForm();
+
+        // Follow-ups may only point to questions that still exist
+        const knownIds = await QuestionBank.getQuestionIds(this.drafts);
+        for (const question of Object.values(this.drafts).flat()) {
+            if (!question.followUps) continue;
+            question.followUps = question.followUps.filter(id => knownIds.has(id) && id !== question.id);
+            if (question.followUps.length === 0) delete question.followUps;
+        }
+
+        // Every question needs at least an English version
+        const customQuestions = {};
+        let skipped = 0;
+        for (const [category, questions] of Object.entries(this.drafts)) {
+            const valid = questions.filter(q => q.en);
+            skipped += questions.length - valid.length;
+            if (valid.length > 0) customQuestions[category] = valid;
+        }
+
+        await game.settings.set(MODULE_ID, 'customQuestions', customQuestions);
+        this.drafts = foundry.utils.deepClone(customQuestions);
+
+        if (skipped > 0) {
+            ui.notifications.warn(game.i18n.format('PROFOUNDRY.Notify.CustomSkipped', { count: skipped }));
+        }
+        ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.CustomSaved'));
+        this.render();
+    }
+}
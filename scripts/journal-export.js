@@ -0,0 +1,183 @@
+/**
+ * Profoundry Journal Export
+ * Writes characters' questions and answers to a journal, one page per character, or to a Markdown file
+ */
+
+/**
+ * Journal export service
+ * The journal and its pages are found again by their module flags, so exporting again updates them.
+ */
+class ProfoundryJournal {
+    /**
+     * Get the characters that have been asked at least one question
+     * @returns {Promise<Actor[]>}
+     */
+    static async getActors() {
+        const actors = [];
+        for (const actor of game.actors.filter(a => a.hasPlayerOwner)) {
+            if ((await getActorProfileData(actor)).categories.length > 0) actors.push(actor);
+        }
+        return actors;
+    }
+
+    /**
+     * Build the journal page HTML of a character
+     * @param {Actor} actor
+     * @returns {Promise<string>}
+     */
+    static async buildHtml(actor) {
+        const escape = (text) => Handlebars.escapeExpression(text || '').replace(/\n/g, '<br>');
+        const data = await getActorProfileData(actor);
+        if (data.categories.length === 0) return `<p>${escape(game.i18n.localize('PROFOUNDRY.Profile.Empty'))}</p>`;
+
+        return data.categories.map(category => [
+            `<h2>${escape(category.label)}</h2>`,
+            // Follow-ups come right after the question they continue, one heading level down
+            ...category.entries.map(entry => [
+                entry.thread ? `<h4>${escape(entry.question)}</h4>` : `<h3>${escape(entry.question)}</h3>`,
+                entry.answer
+                    ? `<blockquote><p>${escape(entry.answer)}</p></blockquote>`
+                    : `<p><em>${escape(game.i18n.localize('PROFOUNDRY.Profile.NoAnswer'))}</em></p>`
+            ].join('\n'))
+        ].join('\n')).join('\n');
+    }
+
+    /**
+     * Build the Markdown of a character, with the same content as the journal page
+     * @param {Actor} actor
+     * @returns {Promise<string>}
+     */
+    static async buildMarkdown(actor) {
+        const data = await getActorProfileData(actor);
+        const lines = [`# ${actor.name}`, ''];
+        if (data.categories.length === 0) lines.push(game.i18n.localize('PROFOUNDRY.Profile.Empty'), '');
+
+        for (const category of data.categories) {
+            lines.push(`## ${category.label}`, '');
+            for (const entry of category.entries) {
+                lines.push(`${entry.thread ? '####' : '###'} ${entry.question}`, '');
+                if (entry.answer) {
+                    entry.answer.split('\n').forEach(line => lines.push(`> ${line}`));
+                } else {
+                    lines.push(`*${game.i18n.localize('PROFOUNDRY.Profile.NoAnswer')}*`);
+                }
+                lines.push('');
+            }
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Find the journal written by an earlier export, or create it
+     * @returns {Promise<JournalEntry>}
+     */
+    static async getJournal() {
+        const journal = game.journal.find(j => j.getFlag(MODULE_ID, 'profiles'));
+        if (journal) return journal;
+        return JournalEntry.create({
+            name: game.i18n.localize('PROFOUNDRY.Journal.Name'),
+            flags: { [MODULE_ID]: { profiles: true } }
+        });
+    }
+
+    /**
+     * Write each character's page to the journal, replacing what an earlier export wrote
+     * Pages of characters not exported this time are left alone.
+     * @param {Actor[]} actors
+     * @returns {Promise<JournalEntry>}
+     */
+    static async exportJournal(actors) {
+        const journal = await this.getJournal();
+        const updates = [];
+        const creates = [];
+
+        for (const actor of actors) {
+            const content = await this.buildHtml(actor);
+            const page = journal.pages.find(p => p.getFlag(MODULE_ID, 'actorId') === actor.id);
+            if (page) {
+                updates.push({ _id: page.id, name: actor.name, 'text.content': content });
+            } else {
+                creates.push({
+                    name: actor.name,
+                    type: 'text',
+                    text: { content, format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML },
+                    flags: { [MODULE_ID]: { actorId: actor.id } }
+                });
+            }
+        }
+
+        if (updates.length > 0) await journal.updateEmbeddedDocuments('JournalEntryPage', updates);
+        if (creates.length > 0) await journal.createEmbeddedDocuments('JournalEntryPage', creates);
+
+        ui.notifications.info(game.i18n.format('PROFOUNDRY.Notify.JournalExported', { name: journal.name }));
+        journal.sheet.render(true);
+        return journal;
+    }
+
+    /**
+     * Download the characters' questions and answers as a Markdown file
+     * @param {Actor[]} actors
+     */
+    static async exportMarkdown(actors) {
+        const sections = [];
+        for (const actor of actors) sections.push(await this.buildMarkdown(actor));
+
+        const name = actors.length === 1 ? actors[0].name.slugify() : game.world.id;
+        const save = foundry.utils.saveDataToFile ?? saveDataToFile;
+        save(sections.join('\n'), 'text/markdown', `profoundry-${name}.md`);
+    }
+
+    /**
+     * Let the user pick characters and export them to the journal or as Markdown
+     */
+    static async openExportDialog() {
+        const actors = await this.getActors();
+        if (actors.length === 0) {
+            ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.NothingToExport'));
+            return;
+        }
+
+        const escape = Handlebars.escapeExpression;
+        const selected = (html) => html.find('input[name="actor"]:checked').get()
+            .map(input => game.actors.get(input.value))
+            .filter(actor => actor);
+        const run = (exporter) => (html) => {
+            const chosen = selected(html);
+            if (chosen.length === 0) return ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.SelectCharacters'));
+            return exporter(chosen).catch(error => {
+                console.error('Character Questions | Export failed:', error);
+                ui.notifications.error(game.i18n.localize('PROFOUNDRY.Notify.ExportError'));
+            });
+        };
+
+        const buttons = {};
+        if (game.user.isGM) {
+            buttons.journal = {
+                icon: '<i class="fas fa-book-open"></i>',
+                label: game.i18n.localize('PROFOUNDRY.Journal.ToJournal'),
+                callback: run(actors => this.exportJournal(actors))
+            };
+        }
+        buttons.markdown = {
+            icon: '<i class="fab fa-markdown"></i>',
+            label: game.i18n.localize('PROFOUNDRY.Journal.ToMarkdown'),
+            callback: run(actors => this.exportMarkdown(actors))
+        };
+
+        new Dialog({
+            title: game.i18n.localize('PROFOUNDRY.Journal.Title'),
+            content: `
+                <form class="profoundry-journal-export">
+                    <p>${game.i18n.localize('PROFOUNDRY.Journal.Pick')}</p>
+                    ${actors.map(actor => `
+                        <label class="checkbox">
+                            <input type="checkbox" name="actor" value="${actor.id}" checked/> ${escape(actor.name)}
+                        </label>
+                    `).join('')}
+                </form>
+            `,
+            buttons,
+            default: game.user.isGM ? 'journal' : 'markdown'
+        }).render(true);
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Profoundry Migration
+ * Updates data saved by older versions of the module, run once per world by the active GM
+ */
+
+/**
+ * Migration service
+ * The migrationVersion world setting records the last step that ran.
+ */
+class ProfoundryMigration {
+    // Each step runs once, in order. Add new steps at the end.
+    static STEPS = [
+        { version: 1, run: () => ProfoundryMigration.migrateQuestionKeys() }
+    ];
+
+    /**
+     * Run every step the world hasn't run yet
+     */
+    static async run() {
+        if (getActiveGM()?.id !== game.user.id) return;
+
+        const current = game.settings.get(MODULE_ID, 'migrationVersion') || 0;
+        for (const step of this.STEPS.filter(s => s.version > current)) {
+            try {
+                console.log(`Character Questions | Running migration ${step.version}`);
+                await step.run();
+                await game.settings.set(MODULE_ID, 'migrationVersion', step.version);
+            } catch (error) {
+                // Stop here so the step is tried again next time
+                console.error(`Character Questions | Migration ${step.version} failed:`, error);
+                ui.notifications.error(game.i18n.localize('PROFOUNDRY.Notify.MigrationFailed'));
+                return;
+            }
+        }
+    }
+
+    /**
+     * Map English question texts to the ids of the questions, for blocked lists and histories
+     * Texts that match no question are kept, and reported so the GM can check them.
+     */
+    static async migrateQuestionKeys() {
+        // Texts are matched loosely, so spacing and capitals don't matter
+        const normalize = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+        const ids = new Map();
+        const data = await QuestionBank.load();
+        const categories = new Set([...Object.keys(data), ...Object.keys(QuestionBank.getCustomQuestions())]);
+        for (const category of categories) {
+            for (const questionData of await QuestionBank.getQuestions(category)) {
+                if (!questionData.id) continue;
+                const text = normalize(questionData.en);
+                // A text used by several questions blocks all of them, as it did before
+                ids.set(text, [...(ids.get(text) || []), questionData.id]);
+            }
+        }
+        const knownIds = new Set(Array.from(ids.values()).flat());
+
+        const unmatched = new Set();
+        const migrateKeys = (keys) => {
+            const migrated = new Set();
+            for (const key of keys) {
+                if (knownIds.has(key)) {
+                    migrated.add(key);
+                } else if (ids.has(normalize(key))) {
+                    ids.get(normalize(key)).forEach(id => migrated.add(id));
+                } else {
+                    unmatched.add(key);
+                    migrated.add(key);
+                }
+            }
+            return Array.from(migrated);
+        };
+
+        const blocked = QuestionBank.getBlockedQuestions();
+        const migratedBlocked = migrateKeys(blocked);
+        if (!foundry.utils.objectsEqual({ keys: blocked }, { keys: migratedBlocked })) {
+            await game.settings.set(MODULE_ID, 'blockedQuestions', migratedBlocked);
+        }
+        const unmatchedBlocked = blocked.filter(key => unmatched.has(key));
+
+        // Histories are kept on characters, and on users without a character
+        for (const document of [...game.actors, ...game.users]) {
+            const asked = QuestionHistory.getAsked(document);
+            if (!asked.length) continue;
+            const migratedAsked = migrateKeys(asked);
+            if (!foundry.utils.objectsEqual({ keys: asked }, { keys: migratedAsked })) {
+                await document.setFlag(MODULE_ID, 'askedQuestions', migratedAsked);
+            }
+        }
+
+        if (unmatched.size > 0) {
+            console.warn('Character Questions | These blocked or asked questions match no question in the bank:', Array.from(unmatched));
+        }
+        if (unmatchedBlocked.length > 0) {
+            ui.notifications.warn(game.i18n.format('PROFOUNDRY.Notify.UnmatchedBlocked', { count: unmatchedBlocked.length }), { permanent: true });
+        }
+        console.log(`Character Questions | Moved blocked questions and histories to question ids, ${unmatched.size} unmatched`);
+    }
+}
@@ -0,0 +1,572 @@
+/**
+ * Profoundry Question Bank
+ * Loads the question bank once per session and serves it to the rest of the module
+ */
+
+// Default location of the online copy of the question bank
+const DEFAULT_QUESTION_BANK_URL = 'https://raw.githubusercontent.com/orangebutblue/CharacterQuestions/main/questions.json';
+
+// Question fields that are not translations
+const QUESTION_META_KEYS = ['id', 'custom', 'tags', 'followUps'];
+
+// Display settings for the categories shipped with the module
+const DEFAULT_CATEGORIES = {
+    background: { label: 'PROFOUNDRY.Category.Background', icon: 'fas fa-book', order: 1 },
+    motivations: { label: 'PROFOUNDRY.Category.Motivations', icon: 'fas fa-bullseye', order: 2 },
+    personality: { label: 'PROFOUNDRY.Category.Personality', icon: 'fas fa-user', order: 3 },
+    values: { label: 'PROFOUNDRY.Category.Values', icon: 'fas fa-balance-scale', order: 4 },
+    relationships: { label: 'PROFOUNDRY.Category.Relationships', icon: 'fas fa-users', order: 5 },
+    secrets: { label: 'PROFOUNDRY.Category.Secrets', icon: 'fas fa-lock', order: 6 },
+    weakness: { label: 'PROFOUNDRY.Category.Weakness', icon: 'fas fa-exclamation-triangle', order: 7 },
+    interests: { label: 'PROFOUNDRY.Category.Interests', icon: 'fas fa-palette', order: 8 },
+    society: { label: 'PROFOUNDRY.Category.Society', icon: 'fas fa-city', order: 9 }
+};
+
+// Used for categories that have no display settings of their own
+const DEFAULT_CATEGORY_ICON = 'fas fa-question';
+const DEFAULT_CATEGORY_ORDER = 100;
+
+// Rating of questions the GM hasn't rated, draws are weighted by rating
+const DEFAULT_QUESTION_RATING = 3;
+const MAX_QUESTION_RATING = 5;
+
+/**
+ * Question bank service
+ * The bundled questions.json is always loaded first so the module works offline.
+ * If enabled in the settings, a newer online copy replaces it when it can be reached.
+ */
+class QuestionBank {
+    static _data = null;
+    static _loading = null;
+
+    /**
+     * Path of the questions.json shipped with the module
+     */
+    static get bundledPath() {
+        return `modules/${MODULE_ID}/questions.json`;
+    }
+
+    /**
+     * Load the question bank, using the cached copy if it has already been loaded this session
+     * @param {object} [options]
+     * @param {boolean} [options.force=false]  Discard the cached copy and load the bank again
+     * @returns {Promise<object>}  The parsed bank, keyed by category
+     */
+    static async load({ force = false } = {}) {
+        if (force) this.clearCache();
+        if (this._data) return this._data;
+
+        // Share a single request between callers that ask at the same time
+        if (!this._loading) {
+            this._loading = this._loadBank()
+                .then(data => {
+                    this._data = data;
+                    return data;
+                })
+                .finally(() => {
+                    this._loading = null;
+                });
+        }
+        return this._loading;
+    }
+
+    /**
+     * Drop the cached bank so the next load reads it again
+     */
+    static clearCache() {
+        this._data = null;
+        this._loading = null;
+    }
+
+    /**
+     * Get the questions of a single category, including the world's custom questions
+     * @param {string} category
+     * @returns {Promise<object[]>}
+     */
+    static async getQuestions(category) {
+        const data = await this.load();
+        const custom = this.getCustomQuestions()[category] || [];
+        return [
+            ...(data[category] || []),
+            ...custom.map(q => ({ ...q, custom: true }))
+        ];
+    }
+
+    /**
+     * Get the key that identifies a question in blocked lists and histories
+     * Questions in the bank and custom questions have a stable id, the English text is only used for questions without one.
+     * @param {object} questionData
+     * @returns {string}
+     */
+    static getQuestionKey(questionData) {
+        return questionData?.id || questionData?.en;
+    }
+
+    /**
+     * Whether two question data objects are the same question
+     * Compared by id, by English text only when one of them has no id, like lists saved before question ids.
+     * @param {object} a
+     * @param {object} b
+     * @returns {boolean}
+     */
+    static isSameQuestion(a, b) {
+        if (!a || !b) return false;
+        if (a.id && b.id) return a.id === b.id;
+        return a.en === b.en;
+    }
+
+    /**
+     * Find a question in the bank or the custom questions
+     * @param {string} key  The question's id, or its English text
+     * @returns {Promise<{category: string, questionData: object}|null>}
+     */
+    static async findQuestion(key) {
+        if (!key) return null;
+        const data = await this.load();
+        const categories = new Set([...Object.keys(data), ...Object.keys(this.getCustomQuestions())]);
+        let match = null;
+        for (const category of categories) {
+            for (const questionData of await this.getQuestions(category)) {
+                // An id always wins over a question that happens to have the same text
+                if (questionData.id === key) return { category, questionData };
+                if (!match && questionData.en === key) match = { category, questionData };
+            }
+        }
+        return match;
+    }
+
+    /**
+     * Get the ids of every question in the bank and in a set of custom questions
+     * @param {object} [customQuestions]  Custom questions keyed by category, the world's when omitted
+     * @returns {Promise<Set<string>>}
+     */
+    static async getQuestionIds(customQuestions = this.getCustomQuestions()) {
+        const data = await this.load();
+        return new Set([...Object.values(data), ...Object.values(customQuestions)].flat().map(q => q.id).filter(id => id));
+    }
+
+    /**
+     * Get the questions a question links to as its follow-ups
+     * Links to ids that are not in the bank are skipped.
+     * @param {object} questionData
+     * @returns {Promise<{category: string, questionData: object}[]>}
+     */
+    static async getFollowUps(questionData) {
+        const followUps = [];
+        for (const id of questionData?.followUps || []) {
+            const found = await this.findQuestion(id);
+            if (found?.questionData.id === id) followUps.push(found);
+        }
+        return followUps;
+    }
+
+    /**
+     * Remove the questions that should not be drawn
+     * @param {object[]} questions
+     * @param {object} [options]
+     * @param {string[]} [options.blockedQuestions]  Keys of blocked questions
+     * @param {object[]} [options.excludedQuestions]  Question data already in use, such as the questions on screen
+     * @param {string[]} [options.askedQuestions]  Keys of questions a character has already been asked
+     * @param {string[]} [options.excludedTags]  Content tags the table doesn't want
+     * @param {string[]} [options.flaggedQuestions]  Keys of questions flagged this session
+     * @param {string[]|null} [options.favoriteQuestions]  Keys of favorite questions, only these are kept when given
+     * @returns {object[]}
+     */
+    static filterQuestions(questions, { blockedQuestions = [], excludedQuestions = [], askedQuestions = [], excludedTags = [], flaggedQuestions = [], favoriteQuestions = null } = {}) {
+        return questions
+            .filter(q => !favoriteQuestions || favoriteQuestions.includes(this.getQuestionKey(q)))
+            .filter(q => !blockedQuestions.includes(this.getQuestionKey(q)))
+            .filter(q => !excludedQuestions.some(excluded => this.isSameQuestion(excluded, q)))
+            .filter(q => !askedQuestions.includes(this.getQuestionKey(q)))
+            .filter(q => !(q.tags || []).some(tag => excludedTags.includes(tag)))
+            .filter(q => !flaggedQuestions.includes(this.getQuestionKey(q)));
+    }
+
+    /**
+     * Get the text of a question in a language, falling back to English when it has no translation
+     * @param {object} questionData
+     * @param {string} language
+     * @returns {{text: string, fallback: boolean}}
+     */
+    static getQuestionText(questionData, language) {
+        if (questionData[language]) return { text: questionData[language], fallback: false };
+        return { text: questionData.en, fallback: language !== 'en' };
+    }
+
+    /**
+     * Whether a question contains a search text in any of its languages
+     * @param {object} questionData
+     * @param {string} query  Matched ignoring case, an empty query matches every question
+     * @returns {boolean}
+     */
+    static matchesSearch(questionData, query) {
+        query = (query || '').trim().toLowerCase();
+        if (!query) return true;
+        return Object.entries(questionData)
+            .some(([lang, text]) => !QUESTION_META_KEYS.includes(lang) && typeof text === 'string' && text.toLowerCase().includes(query));
+    }
+
+    /**
+     * Create an entry for a list of drawn questions
+     * @param {string} category
+     * @param {object} questionData  The question as stored in the bank
+     * @param {string} language
+     * @param {string|null} [secondaryLanguage]  Also show the question in this language, the user's choice when omitted
+     * @returns {object}
+     */
+    static createEntry(category, questionData, language, secondaryLanguage = this.getSecondaryLanguage()) {
+        const primary = this.getQuestionText(questionData, language);
+        const entry = {
+            // Create unique ID for this question
+            id: `${category}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            category: category,
+            question: primary.text,
+            language: language,
+            fallback: primary.fallback,
+            questionData: questionData // Store the full question data for blocking
+        };
+
+        // Bilingual tables see the question side by side in a second language
+        if (secondaryLanguage && secondaryLanguage !== language) {
+            const secondary = this.getQuestionText(questionData, secondaryLanguage);
+            if (secondary.text !== primary.text) {
+                entry.secondary = { language: secondaryLanguage, question: secondary.text, fallback: secondary.fallback };
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * Get the language questions are drawn in when none is given
+     * The user's own choice, else the world default, else the language Foundry runs in.
+     * @returns {string}
+     */
+    static getDefaultLanguage() {
+        return game.settings.get(MODULE_ID, 'language')
+            || game.settings.get(MODULE_ID, 'defaultLanguage')
+            || game.i18n.lang
+            || 'en';
+    }
+
+    /**
+     * Get the language the user wants questions shown in next to the main one
+     * @returns {string|null}
+     */
+    static getSecondaryLanguage() {
+        return game.settings.get(MODULE_ID, 'secondaryLanguage') || null;
+    }
+
+    /**
+     * Get the name of a language in the user's own language
+     * @param {string} language  Language code, such as de
+     * @returns {string}
+     */
+    static getLanguageName(language) {
+        try {
+            const name = new Intl.DisplayNames([game.i18n.lang], { type: 'language' }).of(language);
+            return name.charAt(0).toUpperCase() + name.slice(1);
+        } catch (error) {
+            return language.toUpperCase();
+        }
+    }
+
+    /**
+     * Get the keys of every blocked question
+     * @returns {string[]}
+     */
+    static getBlockedQuestions() {
+        return game.settings.get(MODULE_ID, 'blockedQuestions') || [];
+    }
+
+    /**
+     * Get the blocked questions with their text, for showing them in a list
+     * @param {string} [language]  Language of the text, the user's language when omitted
+     * @returns {Promise<{key: string, category: string|null, questionData: object|null, text: string}[]>}
+     */
+    static async getBlockedEntries(language = this.getDefaultLanguage()) {
+        const entries = [];
+        for (const key of this.getBlockedQuestions()) {
+            const found = await this.findQuestion(key).catch(() => null);
+            entries.push({
+                key,
+                category: found?.category || null,
+                questionData: found?.questionData || null,
+                // Keys no question matches any more are shown as they are, so they can still be unblocked
+                text: found ? this.getQuestionText(found.questionData, language).text : key
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Block a question from future draws
+     * @param {object} questionData
+     * @returns {Promise<boolean>}  Whether the question was newly blocked
+     */
+    static async blockQuestion(questionData) {
+        const key = this.getQuestionKey(questionData);
+        const blockedQuestions = this.getBlockedQuestions();
+        if (!key || blockedQuestions.includes(key)) return false;
+        await game.settings.set(MODULE_ID, 'blockedQuestions', [...blockedQuestions, key]);
+        return true;
+    }
+
+    /**
+     * Allow a blocked question to be drawn again
+     * @param {string} key  The blocked question's key
+     * @returns {Promise<boolean>}  Whether the question was blocked before
+     */
+    static async unblockQuestion(key) {
+        const blockedQuestions = this.getBlockedQuestions();
+        if (!blockedQuestions.includes(key)) return false;
+        await game.settings.set(MODULE_ID, 'blockedQuestions', blockedQuestions.filter(q => q !== key));
+        return true;
+    }
+
+    /**
+     * Get the GM's ratings of this world, keyed by question key
+     * @returns {object}
+     */
+    static getRatings() {
+        return game.settings.get(MODULE_ID, 'questionRatings') || {};
+    }
+
+    /**
+     * Get the rating of a question, DEFAULT_QUESTION_RATING when the GM hasn't rated it
+     * @param {object} questionData
+     * @returns {number}
+     */
+    static getRating(questionData) {
+        return this.getRatings()[this.getQuestionKey(questionData)] || DEFAULT_QUESTION_RATING;
+    }
+
+    /**
+     * Rate a question from 1 to MAX_QUESTION_RATING
+     * @param {object} questionData
+     * @param {number|null} rating  null removes the rating
+     */
+    static async setRating(questionData, rating) {
+        const key = this.getQuestionKey(questionData);
+        if (!key) return;
+        const ratings = { ...this.getRatings() };
+        if (rating) ratings[key] = Math.min(Math.max(Math.round(rating), 1), MAX_QUESTION_RATING);
+        else delete ratings[key];
+        await game.settings.set(MODULE_ID, 'questionRatings', ratings);
+    }
+
+    /**
+     * Get the keys of this world's favorite questions
+     * @returns {string[]}
+     */
+    static getFavorites() {
+        return game.settings.get(MODULE_ID, 'favoriteQuestions') || [];
+    }
+
+    /**
+     * Whether a question is one of this world's favorites
+     * @param {object} questionData
+     * @returns {boolean}
+     */
+    static isFavorite(questionData) {
+        return this.getFavorites().includes(this.getQuestionKey(questionData));
+    }
+
+    /**
+     * Add a question to the favorites, or take it off them
+     * @param {object} questionData
+     * @returns {Promise<boolean>}  Whether the question is a favorite now
+     */
+    static async toggleFavorite(questionData) {
+        const key = this.getQuestionKey(questionData);
+        if (!key) return false;
+        const favorites = this.getFavorites();
+        const favorite = !favorites.includes(key);
+        await game.settings.set(MODULE_ID, 'favoriteQuestions', favorite ? [...favorites, key] : favorites.filter(k => k !== key));
+        return favorite;
+    }
+
+    /**
+     * Pick a random question, weighted by the GM's ratings
+     * A question rated 5 comes up five times as often as one rated 1.
+     * @param {object[]} items  Questions, or anything getQuestionData finds a question in
+     * @param {Function} [getQuestionData]
+     * @returns {*}  The picked item, undefined when there are none
+     */
+    static pickQuestion(items, getQuestionData = (item) => item) {
+        const ratings = this.getRatings();
+        const weights = items.map(item => ratings[this.getQuestionKey(getQuestionData(item))] || DEFAULT_QUESTION_RATING);
+        let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        return items.find((item, index) => (roll -= weights[index]) < 0) ?? items[items.length - 1];
+    }
+
+    /**
+     * Get the custom questions of this world, keyed by category
+     * @returns {object}
+     */
+    static getCustomQuestions() {
+        return game.settings.get(MODULE_ID, 'customQuestions') || {};
+    }
+
+    /**
+     * Get the categories to offer, with their display settings
+     * Categories come from the bank, the custom questions and the world's category config.
+     * @param {object} [options]
+     * @param {boolean} [options.includeDisabled=false]  Also return the categories disabled in the settings
+     * @returns {Promise<{key: string, label: string, icon: string, order: number, inBank: boolean, enabled: boolean}[]>}
+     */
+    static async getCategories({ includeDisabled = false } = {}) {
+        let bankKeys;
+        try {
+            const data = await this.load();
+            bankKeys = Object.keys(data).filter(category => data[category].length > 0);
+        } catch (error) {
+            // Keep offering the shipped categories even when the bank is unavailable
+            console.error('Character Questions | Error loading categories:', error);
+            bankKeys = Object.keys(DEFAULT_CATEGORIES);
+        }
+
+        const config = this.getCategoryConfig();
+        const keys = new Set([
+            ...bankKeys,
+            ...Object.keys(this.getCustomQuestions()),
+            ...Object.keys(config)
+        ]);
+
+        const disabled = game.settings.get(MODULE_ID, 'disabledCategories') || [];
+
+        return Array.from(keys)
+            .map(key => ({
+                key,
+                ...this.getCategoryDisplay(key),
+                inBank: bankKeys.includes(key),
+                enabled: !disabled.includes(key)
+            }))
+            .filter(category => includeDisabled || category.enabled)
+            .sort((a, b) => (a.order - b.order) || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Get the label, icon and order of a category
+     * @param {string} key
+     * @returns {{label: string, icon: string, order: number}}
+     */
+    static getCategoryDisplay(key) {
+        const defaults = DEFAULT_CATEGORIES[key] || {};
+        const config = this.getCategoryConfig()[key] || {};
+        const order = Number(config.order ?? defaults.order);
+        return {
+            label: config.label || (defaults.label ? game.i18n.localize(defaults.label) : key.charAt(0).toUpperCase() + key.slice(1)),
+            icon: config.icon || defaults.icon || DEFAULT_CATEGORY_ICON,
+            order: Number.isFinite(order) ? order : DEFAULT_CATEGORY_ORDER
+        };
+    }
+
+    /**
+     * Get the display label of a category
+     * @param {string} key
+     * @returns {string}
+     */
+    static getCategoryLabel(key) {
+        return this.getCategoryDisplay(key).label;
+    }
+
+    /**
+     * Get the world's category config, keyed by category
+     * @returns {object}
+     */
+    static getCategoryConfig() {
+        return game.settings.get(MODULE_ID, 'categoryConfig') || {};
+    }
+
+    /**
+     * Get every language code used by the bank or the custom questions
+     * @returns {Promise<string[]>}
+     */
+    static async getLanguages() {
+        const data = await this.load();
+        const languages = new Set(['en']);
+        const pools = [...Object.values(data), ...Object.values(this.getCustomQuestions())];
+        for (const questions of pools) {
+            for (const question of questions) {
+                Object.keys(question)
+                    .filter(key => !QUESTION_META_KEYS.includes(key))
+                    .forEach(key => languages.add(key));
+            }
+        }
+        return Array.from(languages);
+    }
+
+    static async _loadBank() {
+        let bundled = null;
+        try {
+            bundled = await this._fetchBank(foundry.utils.getRoute(this.bundledPath));
+            console.log('Character Questions | Loaded bundled question bank');
+        } catch (error) {
+            console.error('Character Questions | Error loading bundled question bank:', error);
+        }
+
+        let remote = null;
+        if (game.settings.get(MODULE_ID, 'useRemoteQuestionBank')) {
+            const url = game.settings.get(MODULE_ID, 'questionBankUrl') || DEFAULT_QUESTION_BANK_URL;
+            try {
+                remote = await this._fetchBank(url);
+                console.log('Character Questions | Loaded online question bank from', url);
+            } catch (error) {
+                console.warn('Character Questions | Online question bank unavailable, using bundled copy:', error);
+            }
+        }
+
+        const data = remote || bundled;
+        if (!data) {
+            throw new Error('No question bank could be loaded');
+        }
+        if (remote && bundled) this._copyMissingFields(bundled, remote);
+        return data;
+    }
+
+    /**
+     * Give questions of an online copy without an id, tags or follow-ups those of the same bundled question
+     * Older copies of questions.json have none of them, blocks and histories are stored by id.
+     * @param {object} source  Bank with ids, tags and follow-ups
+     * @param {object} target  Bank to fill in
+     */
+    static _copyMissingFields(source, target) {
+        const known = new Map();
+        Object.values(source).flat().forEach(q => {
+            if (!known.has(q.en)) known.set(q.en, q);
+        });
+        Object.values(target).flat().forEach(q => {
+            const match = known.get(q.en);
+            if (!match) return;
+            if (!q.id && match.id) q.id = match.id;
+            if (!q.tags && match.tags) q.tags = match.tags;
+            if (!q.followUps && match.followUps) q.followUps = match.followUps;
+        });
+    }
+
+    static async _fetchBank(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Error fetching JSON: ${response.statusText}`);
+        }
+        const data = await response.json();
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Question bank is not an object of categories');
+        }
+
+        // Ignore anything that is not a list of questions
+        const bank = {};
+        for (const [category, questions] of Object.entries(data)) {
+            if (Array.isArray(questions)) {
+                bank[category] = questions
+                    .filter(q => q && typeof q.en === 'string')
+                    .map(q => ({
+                        ...q,
+                        tags: Array.isArray(q.tags) ? q.tags : undefined,
+                        followUps: Array.isArray(q.followUps) ? q.followUps : undefined
+                    }));
+            }
+        }
+        return bank;
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Profoundry Question Board
+ * Read-only view of the GM's drawn questions, kept in sync with every client over the module socket
+ */
+
+// Changes the GM's window tells the board about
+const BOARD_CHANGES = {
+    SYNC: 'sync',
+    ADD: 'add',
+    UPDATE: 'update',
+    MOVE: 'move',
+    DELETE: 'delete',
+    CLEAR: 'clear',
+    SENT: 'sent'
+};
+
+/**
+ * Question Board
+ * Every client keeps the last list the GM broadcast, the window only renders it
+ */
+class QuestionBoard extends Application {
+    static _questions = [];
+
+    constructor(options = {}) {
+        super(options);
+        this.highlightIds = [];
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "profoundry-question-board",
+            template: `modules/${MODULE_ID}/templates/question-board.html`,
+            width: 360,
+            height: 480,
+            resizable: true,
+            minimizable: true,
+            title: "PROFOUNDRY.Board.Title",
+        });
+    }
+
+    getData() {
+        return {
+            isGM: game.user.isGM,
+            gmConnected: !!getActiveGM(),
+            questions: QuestionBoard._questions.map(q => {
+                const target = q.targetUserId ? game.users.get(q.targetUserId) : null;
+                return {
+                    ...q,
+                    ...QuestionBank.getCategoryDisplay(q.category),
+                    targetName: target ? (target.character?.name || target.name) : null,
+                    highlight: this.highlightIds.includes(q.id)
+                };
+            })
+        };
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.board-flag').on('click', (event) => {
+            ProfoundrySafety.flagQuestion(event.currentTarget.dataset.questionKey);
+        });
+    }
+
+    /**
+     * Listen for board changes on the module socket
+     */
+    static initialize() {
+        ProfoundrySocket.register('boardUpdate', (data, user) => {
+            // Only the GM's list is shown on the board, the sender is the one Foundry reports
+            if (user.isGM) this.receive(data);
+        });
+        ProfoundrySocket.register('boardRequest', () => this.broadcast(BOARD_CHANGES.SYNC));
+    }
+
+    /**
+     * Get the open board, if any
+     * @returns {QuestionBoard|null}
+     */
+    static getBoard() {
+        return Object.values(ui.windows).find(app => app instanceof QuestionBoard) || null;
+    }
+
+    /**
+     * Open the board, or bring it to the front if it is already open
+     * @returns {QuestionBoard}
+     */
+    static open() {
+        const board = this.getBoard();
+        if (board) {
+            board.bringToTop();
+            return board;
+        }
+
+        // A GM's own list is always at hand, players ask the GM for it
+        if (game.user.isGM) {
+            this._questions = (game.settings.get(MODULE_ID, 'questionList') || []).map(q => this.toBoardEntry(q));
+        } else if (getActiveGM()) {
+            ProfoundrySocket.executeAsGM('boardRequest');
+        }
+
+        const app = new QuestionBoard();
+        app.render(true);
+        return app;
+    }
+
+    /**
+     * Keep only what players may see of a drawn question
+     * @param {object} question  A question from the CharacterQuestions list
+     * @returns {object}
+     */
+    static toBoardEntry(question) {
+        return {
+            id: question.id,
+            key: QuestionBank.getQuestionKey(question.questionData),
+            category: question.category,
+            question: question.question,
+            fallback: !!question.fallback,
+            secondary: question.secondary || null,
+            targetUserId: question.targetUserId || null,
+            sent: !!question.sent
+        };
+    }
+
+    /**
+     * Tell every client about a change to the GM's list
+     * @param {string} change  One of BOARD_CHANGES
+     * @param {object[]} [questions]  The whole list after the change, the saved list when omitted
+     * @param {string[]} [questionIds]  Questions the change is about
+     */
+    static broadcast(change, questions = null, questionIds = []) {
+        if (!game.user.isGM) return;
+        questions = questions || game.settings.get(MODULE_ID, 'questionList') || [];
+
+        const update = { change, questionIds, questions: questions.map(q => this.toBoardEntry(q)) };
+        ProfoundrySocket.emit('boardUpdate', update);
+        this.receive(update);
+    }
+
+    /**
+     * Take a list broadcast by the GM and show it
+     * @param {object} update
+     */
+    static receive({ change, questionIds = [], questions = [] }) {
+        this._questions = questions;
+
+        const board = this.getBoard();
+        if (!board) return;
+        board.highlightIds = [BOARD_CHANGES.ADD, BOARD_CHANGES.SENT].includes(change) ? questionIds : [];
+        board.render();
+    }
+}
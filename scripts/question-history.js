@@ -0,0 +1,49 @@
+/**
+ * Profoundry Question History
+ * Remembers which questions each character has already been asked
+ */
+
+/**
+ * Question History
+ * Stored as a list of question keys in the module flags of an Actor, or of a User without a character
+ */
+class QuestionHistory {
+    /**
+     * Get the keys of every question asked to a character or user
+     * @param {Actor|User|null} document
+     * @returns {string[]}
+     */
+    static getAsked(document) {
+        return document?.getFlag(MODULE_ID, 'askedQuestions') || [];
+    }
+
+    /**
+     * Whether a question has already been asked to a character or user
+     * @param {Actor|User|null} document
+     * @param {object} questionData
+     * @returns {boolean}
+     */
+    static hasAsked(document, questionData) {
+        return this.getAsked(document).includes(QuestionBank.getQuestionKey(questionData));
+    }
+
+    /**
+     * Remember that a question was asked to a character or user
+     * @param {Actor|User} document
+     * @param {object} questionData
+     */
+    static async record(document, questionData) {
+        const key = QuestionBank.getQuestionKey(questionData);
+        const asked = this.getAsked(document);
+        if (!key || asked.includes(key)) return;
+        await document.setFlag(MODULE_ID, 'askedQuestions', [...asked, key]);
+    }
+
+    /**
+     * Forget every question asked to a character or user
+     * @param {Actor|User} document
+     */
+    static async reset(document) {
+        await document.unsetFlag(MODULE_ID, 'askedQuestions');
+    }
+}
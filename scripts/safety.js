@@ -0,0 +1,143 @@
+/**
+ * Profoundry Safety
+ * Content tags the GM can exclude for the world or per player, and questions players flag for the session
+ */
+
+// Content tags used by the bundled question bank
+const CONTENT_TAGS = {
+    bullying: 'PROFOUNDRY.Tag.Bullying',
+    crime: 'PROFOUNDRY.Tag.Crime',
+    death: 'PROFOUNDRY.Tag.Death',
+    family: 'PROFOUNDRY.Tag.Family',
+    fear: 'PROFOUNDRY.Tag.Fear',
+    illness: 'PROFOUNDRY.Tag.Illness',
+    romance: 'PROFOUNDRY.Tag.Romance',
+    violence: 'PROFOUNDRY.Tag.Violence'
+};
+
+/**
+ * Safety service
+ * Flagged questions are hidden for the session, which lasts until the GM clears the flags in the settings menu.
+ * The list is kept in the flaggedQuestions world setting, which only a GM can write, so players can't unflag questions for everyone.
+ */
+class ProfoundrySafety {
+    /**
+     * Listen for flags on the module socket
+     */
+    static initialize() {
+        // Anonymous: the flagging user is never looked at or shown
+        ProfoundrySocket.register('flagQuestion', (data) => this._onFlag(data.key));
+    }
+
+    /**
+     * Get the display label of a content tag
+     * @param {string} tag
+     * @returns {string}
+     */
+    static getTagLabel(tag) {
+        return CONTENT_TAGS[tag] ? game.i18n.localize(CONTENT_TAGS[tag]) : tag.charAt(0).toUpperCase() + tag.slice(1);
+    }
+
+    /**
+     * Get every tag the module knows, along with the tags used in the question bank
+     * @returns {Promise<string[]>}
+     */
+    static async getTags() {
+        const tags = new Set(Object.keys(CONTENT_TAGS));
+        try {
+            const data = await QuestionBank.load();
+            Object.values(data).flat().forEach(q => (q.tags || []).forEach(tag => tags.add(tag)));
+        } catch (error) {
+            console.error('Character Questions | Error loading content tags:', error);
+        }
+        return Array.from(tags).sort((a, b) => this.getTagLabel(a).localeCompare(this.getTagLabel(b)));
+    }
+
+    /**
+     * Get the tags excluded for the world and for the players who may see a question
+     * @param {User[]} [users]  Players who may see it. Every player for a GM, the user itself for a player.
+     * @returns {string[]}
+     */
+    static getExcludedTags(users = null) {
+        users = users || (game.user.isGM ? game.users.filter(user => !user.isGM) : [game.user]);
+        const playerTags = game.settings.get(MODULE_ID, 'playerExcludedTags') || {};
+        return Array.from(new Set([
+            ...(game.settings.get(MODULE_ID, 'excludedTags') || []),
+            ...users.flatMap(user => playerTags[user.id] || [])
+        ]));
+    }
+
+    /**
+     * Get the keys of the questions flagged this session
+     * @returns {string[]}
+     */
+    static getFlaggedQuestions() {
+        return [...(game.settings.get(MODULE_ID, 'flaggedQuestions') || [])];
+    }
+
+    /**
+     * Whether a question was flagged this session
+     * @param {object} questionData
+     * @returns {boolean}
+     */
+    static isFlagged(questionData) {
+        return this.getFlaggedQuestions().includes(QuestionBank.getQuestionKey(questionData));
+    }
+
+    /**
+     * Get the filters to pass to QuestionBank.filterQuestions
+     * @param {User[]} [users]  See getExcludedTags
+     * @returns {{excludedTags: string[], flaggedQuestions: string[]}}
+     */
+    static getFilters(users = null) {
+        return {
+            excludedTags: this.getExcludedTags(users),
+            flaggedQuestions: this.getFlaggedQuestions()
+        };
+    }
+
+    /**
+     * Hide a question for the rest of the session, without telling anyone who asked for it
+     * @param {string} key  The question's key
+     */
+    static async flagQuestion(key) {
+        if (!key) return;
+        if (await ProfoundrySocket.executeAsGM('flagQuestion', { key })) {
+            ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.QuestionFlagged'));
+        }
+    }
+
+    /**
+     * Start a new session, the flagged questions can be drawn again
+     */
+    static async clearFlags() {
+        if (!game.user.isGM || this.getFlaggedQuestions().length === 0) return;
+        await game.settings.set(MODULE_ID, 'flaggedQuestions', []);
+        ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.FlagsCleared'));
+    }
+
+    static async _onFlag(key) {
+        const flagged = this.getFlaggedQuestions();
+        if (!key || flagged.includes(key)) return;
+        // The setting's change handler takes the question off every client's lists
+        await game.settings.set(MODULE_ID, 'flaggedQuestions', [...flagged, key]);
+        ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.QuestionFlaggedGM'));
+    }
+
+    /**
+     * Take newly flagged questions off this client's lists, called when the flaggedQuestions setting changes
+     */
+    static _receive() {
+        const app = getCharacterQuestionsApp();
+        if (app) {
+            app.removeFlaggedQuestions();
+        } else if (game.user.isGM) {
+            // The board shows the saved list while the window is closed, so take them off that
+            const questions = game.settings.get(MODULE_ID, 'questionList') || [];
+            const remaining = questions.filter(q => !this.isFlagged(q.questionData));
+            if (remaining.length === questions.length) return;
+            game.settings.set(MODULE_ID, 'questionList', remaining);
+            QuestionBoard.broadcast(BOARD_CHANGES.DELETE, remaining);
+        }
+    }
+}
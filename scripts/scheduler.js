@@ -0,0 +1,143 @@
+/**
+ * Profoundry Scheduler
+ * Posts questions automatically when the world loads, a scene is activated, a combat ends or on a timer
+ */
+
+// Moments the scheduler can post a question at
+const AUTO_PROMPT_TRIGGERS = {
+    NONE: 'none',
+    READY: 'ready',
+    SCENE: 'scene',
+    INTERVAL: 'interval',
+    COMBAT: 'combat'
+};
+
+/**
+ * Question Scheduler
+ * Only the active GM posts prompts, so several connected GMs don't post the same one twice.
+ */
+class QuestionScheduler {
+    static _timer = null;
+
+    /**
+     * Start the scheduler once the world is ready
+     */
+    static initialize() {
+        Hooks.on('updateScene', (scene, changes) => {
+            if (changes.active === true) this.prompt(AUTO_PROMPT_TRIGGERS.SCENE);
+        });
+
+        Hooks.on('deleteCombat', (combat) => {
+            // Only combats that actually started count as ended
+            if (combat.started) this.prompt(AUTO_PROMPT_TRIGGERS.COMBAT);
+        });
+
+        this.restart();
+        this.prompt(AUTO_PROMPT_TRIGGERS.READY);
+    }
+
+    /**
+     * Get the configured trigger
+     * @returns {string}  One of AUTO_PROMPT_TRIGGERS
+     */
+    static get trigger() {
+        return game.settings.get(MODULE_ID, 'autoPromptTrigger') || AUTO_PROMPT_TRIGGERS.NONE;
+    }
+
+    static get enabled() {
+        return this.trigger !== AUTO_PROMPT_TRIGGERS.NONE;
+    }
+
+    static get paused() {
+        return !!game.settings.get(MODULE_ID, 'autoPromptPaused');
+    }
+
+    /**
+     * Pause or resume automatic prompts
+     * @param {boolean} paused
+     */
+    static async setPaused(paused) {
+        await game.settings.set(MODULE_ID, 'autoPromptPaused', paused);
+    }
+
+    /**
+     * Whether this client is the one that posts the prompts
+     * @returns {boolean}
+     */
+    static get isResponsible() {
+        return game.user.isGM && getActiveGM()?.id === game.user.id;
+    }
+
+    /**
+     * Set the interval timer up again after the settings changed
+     */
+    static restart() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        if (this.trigger !== AUTO_PROMPT_TRIGGERS.INTERVAL || !game.user.isGM) return;
+
+        const minutes = Math.max(1, Number(game.settings.get(MODULE_ID, 'autoPromptInterval')) || 30);
+        this._timer = setInterval(() => this.prompt(AUTO_PROMPT_TRIGGERS.INTERVAL), minutes * 60 * 1000);
+    }
+
+    /**
+     * Get the categories prompts are drawn from, every category when none are configured
+     * @returns {string[]}
+     */
+    static getCategories() {
+        return (game.settings.get(MODULE_ID, 'autoPromptCategories') || '')
+            .split(',')
+            .map(category => category.trim())
+            .filter(category => category);
+    }
+
+    /**
+     * Pick the next connected player with a character, taking turns
+     * @returns {Promise<User|null>}
+     */
+    static async nextPlayer() {
+        const players = game.users
+            .filter(user => user.active && !user.isGM && user.character)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        if (players.length === 0) return null;
+
+        const rotation = Number(game.settings.get(MODULE_ID, 'autoPromptRotation')) || 0;
+        await game.settings.set(MODULE_ID, 'autoPromptRotation', rotation + 1);
+        return players[rotation % players.length];
+    }
+
+    /**
+     * Post a question if the trigger matches and the scheduler isn't paused
+     * @param {string} trigger  The moment that just happened, one of AUTO_PROMPT_TRIGGERS
+     */
+    static async prompt(trigger) {
+        if (trigger !== this.trigger || this.paused || !this.isResponsible) return;
+
+        try {
+            const player = await this.nextPlayer();
+            const visibility = getChatVisibility();
+            const question = await drawRandomQuestion({
+                categories: this.getCategories(),
+                actor: player?.character || null,
+                // Only a whispered question can skip the tags the other players excluded
+                users: player && visibility !== CHAT_VISIBILITY.PUBLIC ? [player] : null,
+                source: 'scheduler'
+            });
+            if (!question) {
+                console.warn('Character Questions | Scheduler found no question left to ask');
+                return;
+            }
+
+            const savedData = game.settings.get(MODULE_ID, 'formData') || {};
+            await postQuestionToChat(question, {
+                visibility,
+                recipients: savedData.chatRecipients || [],
+                targetUserId: player?.id || null
+            });
+        } catch (error) {
+            console.error('Character Questions | Scheduled question failed:', error);
+        }
+    }
+}
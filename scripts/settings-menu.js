@@ -0,0 +1,142 @@
+/**
+ * Profoundry Settings Menu
+ * GM form for the world's Profoundry settings, opened from the module settings
+ */
+
+/**
+ * Settings Menu
+ * Registered with game.settings.registerMenu
+ */
+class ProfoundrySettingsMenu extends FormApplication {
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "character-questions-settings",
+            template: `modules/${MODULE_ID}/templates/settings.html`,
+            width: 520,
+            height: "auto",
+            closeOnSubmit: true,
+            title: "PROFOUNDRY.SettingsMenu.Title",
+        });
+    }
+
+    async getData() {
+        const defaultLanguage = game.settings.get(MODULE_ID, 'defaultLanguage');
+        const defaultVisibility = game.settings.get(MODULE_ID, 'defaultChatVisibility');
+        const cardStyle = game.settings.get(MODULE_ID, 'chatCardStyle');
+        const trigger = game.settings.get(MODULE_ID, 'autoPromptTrigger');
+        const playerDisabled = game.settings.get(MODULE_ID, 'playerDisabledCategories') || [];
+        const excludedTags = game.settings.get(MODULE_ID, 'excludedTags') || [];
+        const playerTags = game.settings.get(MODULE_ID, 'playerExcludedTags') || {};
+        const players = game.users.filter(user => !user.isGM);
+
+        return {
+            languages: (await QuestionBank.getLanguages()).map(lang => ({
+                lang,
+                name: QuestionBank.getLanguageName(lang),
+                selected: lang === defaultLanguage
+            })),
+            visibilities: this.getChoices('defaultChatVisibility', defaultVisibility),
+            categories: (await QuestionBank.getCategories({ includeDisabled: true })).map(category => ({
+                ...category,
+                playerEnabled: !playerDisabled.includes(category.key)
+            })),
+            players: players.map(user => ({ id: user.id, name: user.name })),
+            tags: (await ProfoundrySafety.getTags()).map(tag => ({
+                key: tag,
+                label: ProfoundrySafety.getTagLabel(tag),
+                excluded: excludedTags.includes(tag),
+                players: players.map(user => ({ id: user.id, excluded: (playerTags[user.id] || []).includes(tag) }))
+            })),
+            tagColumns: players.length + 1,
+            flaggedCount: ProfoundrySafety.getFlaggedQuestions().length,
+            useRemoteQuestionBank: game.settings.get(MODULE_ID, 'useRemoteQuestionBank'),
+            questionBankUrl: game.settings.get(MODULE_ID, 'questionBankUrl'),
+            defaultQuestionBankUrl: DEFAULT_QUESTION_BANK_URL,
+            allowPlayers: game.settings.get(MODULE_ID, 'allowPlayers'),
+            cardStyles: this.getChoices('chatCardStyle', cardStyle),
+            triggers: this.getChoices('autoPromptTrigger', trigger),
+            autoPromptInterval: game.settings.get(MODULE_ID, 'autoPromptInterval'),
+            autoPromptCategories: game.settings.get(MODULE_ID, 'autoPromptCategories')
+        };
+    }
+
+    /**
+     * Get the options of a setting registered with choices
+     * @param {string} key
+     * @param {string} selected  The value currently chosen
+     * @returns {{value: string, label: string, selected: boolean}[]}
+     */
+    getChoices(key, selected) {
+        const choices = game.settings.settings.get(`${MODULE_ID}.${key}`)?.choices || {};
+        return Object.entries(choices).map(([value, label]) => ({ value, label, selected: value === selected }));
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // The URL only matters when the online bank is used
+        const remoteToggle = html.find('[name="useRemoteQuestionBank"]');
+        const toggleUrl = () => html.find('[name="questionBankUrl"]').prop('disabled', !remoteToggle.prop('checked'));
+        remoteToggle.on('change', toggleUrl);
+        toggleUrl();
+
+        // Flags last until the GM says the session is over
+        html.find('.profoundry-clear-flags').on('click', async () => {
+            const confirmed = await Dialog.confirm({
+                title: game.i18n.localize('PROFOUNDRY.ClearFlags.Title'),
+                content: `<p>${game.i18n.localize('PROFOUNDRY.ClearFlags.Content')}</p>`
+            });
+            if (!confirmed) return;
+            await ProfoundrySafety.clearFlags();
+            html.find('.profoundry-clear-flags').prop('disabled', true)
+                .find('span').text(game.i18n.format('PROFOUNDRY.SettingsMenu.ClearFlags', { count: 0 }));
+        });
+    }
+
+    async _updateObject(event, formData) {
+        const data = foundry.utils.expandObject(formData);
+        const categories = Object.entries(data.categories || {});
+        const disabledCategories = categories.filter(([key, category]) => !category.enabled).map(([key]) => key);
+        const playerDisabledCategories = categories.filter(([key, category]) => !category.players).map(([key]) => key);
+
+        const tags = Object.entries(data.tags || {});
+        const excludedTags = tags.filter(([tag, settings]) => settings.world).map(([tag]) => tag);
+        const playerExcludedTags = {};
+        for (const [tag, settings] of tags) {
+            for (const [userId, excluded] of Object.entries(settings.players || {})) {
+                if (excluded) playerExcludedTags[userId] = [...(playerExcludedTags[userId] || []), tag];
+            }
+        }
+
+        const changes = {
+            defaultLanguage: data.defaultLanguage,
+            defaultChatVisibility: data.defaultChatVisibility,
+            disabledCategories,
+            playerDisabledCategories,
+            excludedTags,
+            playerExcludedTags,
+            useRemoteQuestionBank: !!data.useRemoteQuestionBank,
+            allowPlayers: !!data.allowPlayers,
+            chatCardStyle: data.chatCardStyle,
+            autoPromptTrigger: data.autoPromptTrigger,
+            autoPromptInterval: Math.min(240, Math.max(1, Number(data.autoPromptInterval) || 30)),
+            autoPromptCategories: (data.autoPromptCategories || '').trim()
+        };
+        // Disabled inputs aren't submitted, so keep the URL when the online bank is off
+        if (data.questionBankUrl !== undefined) changes.questionBankUrl = data.questionBankUrl.trim() || DEFAULT_QUESTION_BANK_URL;
+
+        // A new default replaces the choice last made in the window
+        if (changes.defaultChatVisibility !== game.settings.get(MODULE_ID, 'defaultChatVisibility')) {
+            const savedData = game.settings.get(MODULE_ID, 'formData') || {};
+            await game.settings.set(MODULE_ID, 'formData', { ...savedData, chatVisibility: changes.defaultChatVisibility });
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            // Only write what changed, so onChange handlers and re-renders don't fire for nothing
+            if (foundry.utils.objectsEqual({ value }, { value: game.settings.get(MODULE_ID, key) })) continue;
+            await game.settings.set(MODULE_ID, key, value);
+        }
+
+        ui.notifications.info(game.i18n.localize('PROFOUNDRY.Notify.SettingsSaved'));
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Profoundry Socket
+ * Module socket channel, used to let the GM make changes players have no permission for
+ */
+
+const SOCKET_NAME = `module.${MODULE_ID}`;
+
+/**
+ * Get the GM that handles socket requests and automatic questions
+ * @returns {User|null}
+ */
+function getActiveGM() {
+    // game.users.activeGM only exists from V11 on
+    return game.users.activeGM
+        ?? game.users.filter(user => user.isGM && user.active).sort((a, b) => a.id.localeCompare(b.id))[0]
+        ?? null;
+}
+
+/**
+ * Profoundry Socket
+ * Messages are { action, data, gmOnly }. Handlers are registered per action.
+ * The sender is the user id Foundry passes along with each message, never a field of the message, which any client could fake.
+ */
+class ProfoundrySocket {
+    static _handlers = {};
+
+    /**
+     * Start listening on the module channel
+     */
+    static initialize() {
+        this.register('updatePlayerData', (data, user) => savePlayerData(user, data.changes));
+
+        game.socket.on(SOCKET_NAME, (message, senderId) => this._onMessage(message, senderId));
+        console.log('Character Questions | Socket registered');
+    }
+
+    /**
+     * Register the function that runs an action
+     * @param {string} action
+     * @param {Function} handler  Called with the data and the user that sent it
+     */
+    static register(action, handler) {
+        this._handlers[action] = handler;
+    }
+
+    /**
+     * Send an action to every other connected client
+     * @param {string} action
+     * @param {object} [data]
+     */
+    static emit(action, data = {}) {
+        game.socket.emit(SOCKET_NAME, { action, data, gmOnly: false });
+    }
+
+    /**
+     * Run an action as the active GM, directly when this client is that GM
+     * @param {string} action
+     * @param {object} [data]
+     * @returns {Promise<boolean>}  Whether the action ran or was sent
+     */
+    static async executeAsGM(action, data = {}) {
+        const activeGM = getActiveGM();
+        if (activeGM?.id === game.user.id) {
+            await this._run(action, data, game.user);
+            return true;
+        }
+        if (!activeGM) {
+            ui.notifications.warn(game.i18n.localize('PROFOUNDRY.Notify.NeedGM'));
+            return false;
+        }
+        game.socket.emit(SOCKET_NAME, { action, data, gmOnly: true });
+        return true;
+    }
+
+    static async _onMessage({ action, data, gmOnly }, senderId) {
+        if (gmOnly && getActiveGM()?.id !== game.user.id) return;
+        const user = game.users.get(senderId);
+        if (!user) return;
+        await this._run(action, data, user);
+    }
+
+    static async _run(action, data, user) {
+        const handler = this._handlers[action];
+        if (!handler) {
+            console.warn(`Character Questions | Unknown socket action ${action}`);
+            return;
+        }
+        try {
+            await handler(data, user);
+        } catch (error) {
+            console.error(`Character Questions | Socket action ${action} failed:`, error);
+        }
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * Profoundry Transfer
+ * Moves a world's blocked questions, custom questions and category settings to another world as a JSON file
+ */
+
+// Identifies the files written by exportData
+const TRANSFER_FORMAT = 'profoundry-world-data';
+
+// Bump when the file layout changes, older files are still read
+const TRANSFER_VERSION = 1;
+
+/**
+ * Transfer service
+ * Files look like { format, version, blockedQuestions, customQuestions, categories }.
+ * Questions use the shape of questions.json, such as { id, en, de }.
+ */
+class ProfoundryTransfer {
+    /**
+     * Collect the world's data in the file layout
+     * @returns {Promise<object>}
+     */
+    static async collect() {
+        // Blocked questions are stored by key, look them up to export them whole
+        const blockedQuestions = [];
+        for (const key of QuestionBank.getBlockedQuestions()) {
+            const found = await QuestionBank.findQuestion(key).catch(() => null);
+            const { custom, ...questionData } = found?.questionData || { en: key };
+            blockedQuestions.push(questionData);
+        }
+
+        // Only categories the GM changed, everything else keeps this module's defaults
+        const config = QuestionBank.getCategoryConfig();
+        const disabled = game.settings.get(MODULE_ID, 'disabledCategories') || [];
+        const playerDisabled = game.settings.get(MODULE_ID, 'playerDisabledCategories') || [];
+        const categories = {};
+        for (const key of new Set([...Object.keys(config), ...disabled, ...playerDisabled])) {
+            categories[key] = {
+                ...config[key],
+                enabled: !disabled.includes(key),
+                players: !playerDisabled.includes(key)
+            };
+        }
+
+        return {
+            format: TRANSFER_FORMAT,
+            version: TRANSFER_VERSION,
+            moduleVersion: game.modules.get(MODULE_ID)?.version,
+            exportedAt: new Date().toISOString(),
+            blockedQuestions,
+            customQuestions: foundry.utils.deepClone(QuestionBank.getCustomQuestions()),
+            categories
+        };
+    }
+
+    /**
+     * Download the world's data as a JSON file
+     */
+    static async exportData() {
+        const data = await this.collect();
+        const save = foundry.utils.saveDataToFile ?? saveDataToFile;
+        save(JSON.stringify(data, null, 2), 'application/json', `profoundry-${game.world.id}.json`);
+    }
+
+    /**
+     * Let the GM pick a file, check it and ask whether to merge or replace
+     */
+    static importData() {
+        const input = $('<input type="file" accept=".json,application/json">');
+        input.on('change', async (event) => {
+            const file = event.currentTarget.files?.[0];
+            if (!file) return;
+
+            let result;
+            try {
+                const read = foundry.utils.readTextFromFile ?? readTextFromFile;
+                result = this.validate(JSON.parse(await read(file)), await QuestionBank.getQuestionIds());
+            } catch (error) {
+                console.error('Character Questions | Import failed:', error);
+                ui.notifications.error(game.i18n.format('PROFOUNDRY.Notify.ImportInvalid', { file: file.name, error: error.message }));
+                return;
+            }
+            this.confirmImport(file.name, result);
+        });
+        input.trigger('click');
+    }
+
+    /**
+     * Check a parsed file and keep the parts that can be imported
+     * Throws when the file can't be imported at all, smaller problems are reported and skipped.
+     * @param {object} data
+     * @param {Set<string>} [knownIds]  Ids follow-ups may point to besides the file's own questions, any id when omitted
+     * @returns {{data: object, problems: string[]}}
+     */
+    static validate(data, knownIds = null) {
+        if (!data || typeof data !== 'object' || Array.isArray(data) || data.format !== TRANSFER_FORMAT) {
+            throw new Error(game.i18n.localize('PROFOUNDRY.Transfer.Problem.Format'));
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error(game.i18n.localize('PROFOUNDRY.Transfer.Problem.Version'));
+        }
+        if (data.version > TRANSFER_VERSION) {
+            throw new Error(game.i18n.localize('PROFOUNDRY.Transfer.Problem.Newer'));
+        }
+
+        const problems = [];
+        const problem = (key, values) => problems.push(game.i18n.format(`PROFOUNDRY.Transfer.Problem.${key}`, values));
+        const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+        // Blocked questions only need their id or their English text
+        const blockedQuestions = [];
+        if (data.blockedQuestions !== undefined && !Array.isArray(data.blockedQuestions)) {
+            problem('NotList', { section: 'blockedQuestions' });
+        } else {
+            (data.blockedQuestions || []).forEach((questionData, index) => {
+                const id = typeof questionData?.id === 'string' ? questionData.id.trim() : '';
+                const en = typeof questionData?.en === 'string' ? questionData.en.trim() : '';
+                if (isObject(questionData) && (id || en)) {
+                    blockedQuestions.push({ id, en });
+                } else {
+                    problem('NoKey', { section: 'blockedQuestions', index: index + 1 });
+                }
+            });
+        }
+
+        // Follow-ups may point to the bank, the world's questions or the file's own questions
+        const linkable = knownIds && new Set([
+            ...knownIds,
+            ...(isObject(data.customQuestions) ? Object.values(data.customQuestions) : [])
+                .filter(Array.isArray).flat()
+                .map(questionData => questionData?.id)
+                .filter(id => typeof id === 'string' && id)
+        ]);
+
+        const customQuestions = {};
+        if (data.customQuestions !== undefined && !isObject(data.customQuestions)) {
+            problem('NotObject', { section: 'customQuestions' });
+        } else {
+            for (const [category, questions] of Object.entries(data.customQuestions || {})) {
+                if (!Array.isArray(questions)) {
+                    problem('NotList', { section: `customQuestions.${category}` });
+                    continue;
+                }
+                const valid = [];
+                questions.forEach((questionData, index) => {
+                    if (!isObject(questionData) || typeof questionData.en !== 'string' || !questionData.en.trim()) {
+                        problem('NoEnglish', { section: `customQuestions.${category}`, index: index + 1 });
+                        return;
+                    }
+                    const question = {
+                        id: typeof questionData.id === 'string' && questionData.id ? questionData.id : `custom-${foundry.utils.randomID()}`
+                    };
+                    for (const [lang, text] of Object.entries(questionData)) {
+                        if (QUESTION_META_KEYS.includes(lang) || typeof text !== 'string' || !text.trim()) continue;
+                        question[lang] = text.trim();
+                    }
+                    if (questionData.tags !== undefined) {
+                        const tags = Array.isArray(questionData.tags)
+                            ? questionData.tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim())
+                            : [];
+                        if (!Array.isArray(questionData.tags) || tags.length < questionData.tags.length) {
+                            problem('BadTags', { section: `customQuestions.${category}`, index: index + 1 });
+                        }
+                        if (tags.length > 0) question.tags = tags;
+                    }
+                    if (questionData.followUps !== undefined) {
+                        const followUps = Array.isArray(questionData.followUps)
+                            ? questionData.followUps.filter(id => typeof id === 'string' && (!linkable || linkable.has(id)))
+                            : [];
+                        if (!Array.isArray(questionData.followUps) || followUps.length < questionData.followUps.length) {
+                            problem('BadFollowUps', { section: `customQuestions.${category}`, index: index + 1 });
+                        }
+                        if (followUps.length > 0) question.followUps = followUps;
+                    }
+                    valid.push(question);
+                });
+                if (valid.length > 0) customQuestions[category] = valid;
+            }
+        }
+
+        const categories = {};
+        if (data.categories !== undefined && !isObject(data.categories)) {
+            problem('NotObject', { section: 'categories' });
+        } else {
+            for (const [key, settings] of Object.entries(data.categories || {})) {
+                if (!isObject(settings)) {
+                    problem('NotObject', { section: `categories.${key}` });
+                    continue;
+                }
+                const category = {};
+                if (typeof settings.label === 'string' && settings.label.trim()) category.label = settings.label.trim();
+                if (typeof settings.icon === 'string' && settings.icon.trim()) category.icon = settings.icon.trim();
+                if (settings.order !== undefined) {
+                    if (Number.isFinite(Number(settings.order))) category.order = Number(settings.order);
+                    else problem('BadOrder', { category: key });
+                }
+                if (typeof settings.enabled === 'boolean') category.enabled = settings.enabled;
+                if (typeof settings.players === 'boolean') category.players = settings.players;
+                categories[key] = category;
+            }
+        }
+
+        return { data: { blockedQuestions, customQuestions, categories }, problems };
+    }
+
+    /**
+     * Show what a file contains and what was skipped, then import it the way the GM chooses
+     * @param {string} fileName
+     * @param {{data: object, problems: string[]}} result  As returned by validate
+     */
+    static confirmImport(fileName, { data, problems }) {
+        const escape = Handlebars.escapeExpression;
+        const counts = {
+            blocked: data.blockedQuestions.length,
+            custom: Object.values(data.customQuestions).reduce((sum, questions) => sum + questions.length, 0),
+            categories: Object.keys(data.categories).length
+        };
+        if (!counts.blocked && !counts.custom && !counts.categories) {
+            problems.forEach(text => console.warn(`Character Questions | ${fileName}: ${text}`));
+            ui.notifications.warn(game.i18n.format('PROFOUNDRY.Notify.ImportEmpty', { file: fileName }));
+            return;
+        }
+
+        const problemList = problems.length > 0
+            ? `<p>${game.i18n.localize('PROFOUNDRY.Transfer.Problems')}</p>
+               <ul class="profoundry-import-problems">${problems.map(text => `<li>${escape(text)}</li>`).join('')}</ul>`
+            : '';
+
+        const run = (mode) => async () => {
+            try {
+                await this.apply(data, mode);
+                ui.notifications.info(game.i18n.format('PROFOUNDRY.Notify.Imported', { file: fileName }));
+            } catch (error) {
+                console.error('Character Questions | Import failed:', error);
+                ui.notifications.error(game.i18n.format('PROFOUNDRY.Notify.ImportError', { file: fileName }));
+            }
+        };
+
+        new Dialog({
+            title: game.i18n.localize('PROFOUNDRY.Transfer.Title'),
+            content: `
+                <p>${game.i18n.format('PROFOUNDRY.Transfer.Summary', { file: escape(fileName), ...counts })}</p>
+                ${problemList}
+                <p>${game.i18n.localize('PROFOUNDRY.Transfer.Question')}</p>
+            `,
+            buttons: {
+                merge: {
+                    icon: '<i class="fas fa-object-group"></i>',
+                    label: game.i18n.localize('PROFOUNDRY.Transfer.Merge'),
+                    callback: run('merge')
+                },
+                replace: {
+                    icon: '<i class="fas fa-file-import"></i>',
+                    label: game.i18n.localize('PROFOUNDRY.Transfer.Replace'),
+                    callback: run('replace')
+                },
+                cancel: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: game.i18n.localize('PROFOUNDRY.Cancel')
+                }
+            },
+            default: 'merge'
+        }).render(true);
+    }
+
+    /**
+     * Write checked data to the world settings
+     * @param {object} data  The data returned by validate
+     * @param {string} mode  merge keeps the world's data and adds the file's, replace keeps only the file's
+     */
+    static async apply(data, mode) {
+        const replace = mode === 'replace';
+
+        // Files from before question ids only have the text, which is matched to the bank
+        const blocked = replace ? [] : [...QuestionBank.getBlockedQuestions()];
+        for (const { id, en } of data.blockedQuestions) {
+            const found = id ? null : await QuestionBank.findQuestion(en).catch(() => null);
+            blocked.push(id || QuestionBank.getQuestionKey(found?.questionData) || en);
+        }
+        const blockedQuestions = Array.from(new Set(blocked));
+
+        // A question already in the category is not added twice
+        const customQuestions = replace ? {} : foundry.utils.deepClone(QuestionBank.getCustomQuestions());
+        for (const [category, questions] of Object.entries(data.customQuestions)) {
+            const existing = customQuestions[category] || [];
+            for (const question of questions) {
+                if (existing.some(q => q.en === question.en)) continue;
+                if (existing.some(q => q.id === question.id)) question.id = `custom-${foundry.utils.randomID()}`;
+                existing.push(question);
+            }
+            customQuestions[category] = existing;
+        }
+
+        const categoryConfig = replace ? {} : foundry.utils.deepClone(QuestionBank.getCategoryConfig());
+        let disabled = replace ? [] : [...(game.settings.get(MODULE_ID, 'disabledCategories') || [])];
+        let playerDisabled = replace ? [] : [...(game.settings.get(MODULE_ID, 'playerDisabledCategories') || [])];
+        for (const [key, { enabled, players, ...display }] of Object.entries(data.categories)) {
+            categoryConfig[key] = { ...categoryConfig[key], ...display };
+            if (enabled !== undefined) {
+                disabled = disabled.filter(k => k !== key);
+                if (!enabled) disabled.push(key);
+            }
+            if (players !== undefined) {
+                playerDisabled = playerDisabled.filter(k => k !== key);
+                if (!players) playerDisabled.push(key);
+            }
+        }
+
+        await game.settings.set(MODULE_ID, 'blockedQuestions', blockedQuestions);
+        await game.settings.set(MODULE_ID, 'customQuestions', customQuestions);
+        await game.settings.set(MODULE_ID, 'categoryConfig', categoryConfig);
+        await game.settings.set(MODULE_ID, 'disabledCategories', disabled);
+        await game.settings.set(MODULE_ID, 'playerDisabledCategories', playerDisabled);
+    }
+}